@@ -24,7 +24,16 @@ import {
   autoCollapseReasoning,
   fixMarkdownHeadings,
   updateReasoningPreviewIfCollapsed,
-  clearReasoningPreview
+  clearReasoningPreview,
+  renderMeta,
+  appendMetaNotice,
+  renderUsage,
+  applySection,
+  renderSections,
+  sectionsToMarkdown,
+  formatNotice,
+  sanitizeTitle,
+  fallbackTitle
 } from './ui.js';
 
 (() => {
@@ -41,6 +50,12 @@ import {
   let currentSearchKeyword = '';
   /** @type {number|null} 搜索防抖定时器ID */
   let searchDebounceTimer = null;
+  /** @type {number} SSE 断线后自动续传的最大次数 */
+  const MAX_SSE_RECONNECTS = 5;
+  /** @type {{key: string, promise: Promise<Map<string, object>>}|null} 当前 Key 与接口地址对应的模型列表 */
+  let modelList = null;
+  /** @type {string[]} 支持自动补全与校验的模型输入框 */
+  const MODEL_INPUT_IDS = ['titleModel', 'aiModel', 'reasoningModel'];
 
   /**
    * 读取 localStorage 中的用户配置并填充到输入框。 
@@ -59,6 +74,12 @@ import {
     const aiEndpointInput = document.getElementById('aiEndpoint');
     /** @type {HTMLSelectElement} */
     const openrouterSortSelect = document.getElementById('openrouterSort');
+    /** @type {HTMLInputElement} */
+    const timeZoneInput = document.getElementById('timeZone');
+    /** @type {HTMLInputElement} */
+    const longitudeInput = document.getElementById('longitude');
+    /** @type {HTMLSelectElement} */
+    const answerFormatSelect = document.getElementById('answerFormat');
 
     apiKeyInput.value = localStorage.getItem('divination_api_key') || '';
     aiModelInput.value = localStorage.getItem('divination_ai_model') || '';
@@ -66,6 +87,12 @@ import {
     reasoningModelInput.value = localStorage.getItem('divination_reasoning_model') || '';
     aiEndpointInput.value = localStorage.getItem('divination_ai_endpoint') || '';
     openrouterSortSelect.value = localStorage.getItem('divination_openrouter_sort') || '';
+    timeZoneInput.value = localStorage.getItem('divination_time_zone') || '';
+    longitudeInput.value = localStorage.getItem('divination_longitude') || '';
+    answerFormatSelect.value = localStorage.getItem('divination_answer_format') || '';
+    // 占位符展示自动检测到的浏览器时区
+    timeZoneInput.placeholder = `时区（自动：${getBrowserTimeZone()}）`;
+    updateInvitePlaceholder();
     
     // 检查是否需要显示OpenRouter排序选项
     const endpoint = aiEndpointInput.value.toLowerCase();
@@ -76,6 +103,372 @@ import {
     }
   }
 
+  /** 错误码 → 面向用户的提示，{field} 替换为字段名称；未列出的错误码直接显示服务端信息 */
+  const ERROR_MESSAGES = {
+    INVALID_BODY: '请求格式有误，请刷新页面后重试。',
+    MISSING_FIELD: '请填写{field}。',
+    INVALID_TYPE: '{field}格式不正确。',
+    OUT_OF_RANGE: '{field}超出允许范围。',
+    TOO_LONG: '{field}过长，请精简后重试。',
+    INVALID_LENGTH: '{field}需填写 3 个数字。',
+    INVALID_OPTION: '{field}的取值不受支持。',
+    INVALID_URL: 'API 地址需为以 https:// 开头的完整网址。',
+    TEXT_CAST_FAILED: '以字起卦需要问题中至少包含 3 个汉字。',
+    API_KEY_REQUIRED: '自定义模型、API 地址或备用模型时，请同时填写自己的 API Key。',
+    UNSUPPORTED_ACCEPT: '请求方式有误，请刷新页面后重试。',
+    METHOD_NOT_ALLOWED: '请求方式有误，请刷新页面后重试。',
+    AUTH_REQUIRED: '本站需邀请码访问：请在设置中输入邀请码，或填写自己的 API Key。',
+    DAILY_QUOTA_EXCEEDED: '今日免费额度已用完，请明日再试，或在设置中填写自己的 API Key。',
+    SERVER_KEY_MISSING: '服务端未配置 API Key，请在设置中填写自己的 API Key。',
+    UPSTREAM_UNREACHABLE: '无法连接 AI 服务，请检查网络或 API 地址。',
+    UPSTREAM_ERROR: 'AI 服务返回错误，请检查 API Key 与模型名称，或稍后重试。',
+    UPSTREAM_RATE_LIMITED: 'AI 服务繁忙，请稍后重试。',
+    UPSTREAM_TIMEOUT: 'AI 服务响应超时，请稍后重试。',
+    RESPONSE_TOO_LARGE: 'AI 服务返回的内容超出上限，已中断。',
+    STREAM_NOT_FOUND: '连接已过期，未能恢复本次占卜。',
+    INTERNAL_ERROR: '服务异常，请稍后重试。'
+  };
+
+  /** 请求字段 → 界面上的名称 */
+  const FIELD_LABELS = {
+    question: '问题',
+    method: '起卦方式',
+    numbers: '起卦数字',
+    apiKey: 'API Key',
+    model: '普通模型',
+    titleModel: '标题模型',
+    reasoningModel: '思考模型',
+    endpoint: 'API 地址',
+    provider: '服务商',
+    openrouterSort: 'OpenRouter 排序',
+    fallbacks: '备用模型',
+    timeZone: '时区',
+    longitude: '经度'
+  };
+
+  /**
+   * 将服务端错误 { code, message, field } 转换为面向用户的提示。
+   * @param {{code?: string, message?: string, field?: string}} error
+   * @returns {string}
+   * @private
+   */
+  function describeError(error) {
+    const template = ERROR_MESSAGES[error.code];
+    if (!template) return error.message || '未知错误';
+    // numbers[2] 等数组元素按所在字段显示
+    const field = (error.field || '').replace(/\[\d+\]$/, '');
+    return template.replace('{field}', FIELD_LABELS[field] || field || '参数');
+  }
+
+  /**
+   * 读取失败响应中的结构化错误；响应体不是 JSON 时以状态文本代替。
+   * @param {Response} resp
+   * @returns {Promise<{code: string, message: string, field?: string}>}
+   * @private
+   */
+  async function readError(resp) {
+    const text = await resp.text().catch(() => '');
+    try {
+      const data = JSON.parse(text);
+      if (data && data.code) return data;
+    } catch (_) {
+      // 非 JSON 响应
+    }
+    return { code: '', message: text || `请求失败：${resp.status} ${resp.statusText}` };
+  }
+
+  /**
+   * 逐个解析 SSE 事件；以冒号开头的注释行（如 ": ping" 心跳）直接忽略。
+   * @param {ReadableStream<Uint8Array>} body 响应体
+   * @returns {AsyncGenerator<{id: string, event: string, data: string}>}
+   * @private
+   */
+  async function* readSSE(body) {
+    const decoder = new TextDecoder('utf-8');
+    const reader = body.getReader();
+    let buffer = '';
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const rawEvent = buffer.slice(0, boundary).trim();
+          buffer = buffer.slice(boundary + 2);
+
+          let id = '';
+          /** @type {string} */
+          let eventType = 'message';
+          const dataParts = [];
+          for (const line of rawEvent.split('\n')) {
+            if (line.startsWith('id:')) {
+              id = line.slice(3).trim();
+            } else if (line.startsWith('event:')) {
+              eventType = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+              dataParts.push(line.slice(5).replace(/^\s/, ''));
+            }
+          }
+          if (dataParts.length) {
+            yield { id, event: eventType, data: dataParts.join('\n') };
+          }
+        }
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  /**
+   * 等待一段时间后重试；期间用户中止则以 AbortError 拒绝。
+   * @param {number} ms 等待毫秒数
+   * @param {AbortSignal} signal 中止信号
+   * @returns {Promise<void>}
+   * @private
+   */
+  function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      }, { once: true });
+    });
+  }
+
+  /**
+   * 读取仍在有效期内的访问令牌，过期则清除。
+   * @returns {string} 令牌，不存在时为空字符串
+   * @private
+   */
+  function getAccessToken() {
+    const token = localStorage.getItem('divination_access_token') || '';
+    const expiresAt = Number(localStorage.getItem('divination_access_expires')) || 0;
+    if (token && expiresAt <= Date.now()) {
+      localStorage.removeItem('divination_access_token');
+      localStorage.removeItem('divination_access_expires');
+      return '';
+    }
+    return token;
+  }
+
+  /**
+   * 按令牌状态更新邀请码输入框的占位提示。
+   * @private
+   */
+  function updateInvitePlaceholder() {
+    const inviteInput = document.getElementById('inviteCode');
+    const expiresAt = Number(localStorage.getItem('divination_access_expires')) || 0;
+    inviteInput.placeholder = getAccessToken()
+      ? `已兑换，有效期至 ${new Date(expiresAt).toLocaleDateString('zh-CN')}`
+      : '邀请码（使用本站 Key 时需要）';
+  }
+
+  /**
+   * 读取服务端公开配置（/api/config），在设置面板的占位符中展示默认模型与接口地址。
+   * 未启用邀请码时隐藏兑换入口。读取失败时保留页面内置的占位符。
+   * @private
+   */
+  async function loadServerConfig() {
+    let config;
+    try {
+      const resp = await fetch('/api/config');
+      if (!resp.ok) return;
+      config = await resp.json();
+    } catch {
+      return;
+    }
+    const { defaults = {}, features = {}, limits = {} } = config;
+    const placeholders = {
+      titleModel: ['标题模型', defaults.titleModel],
+      aiModel: ['普通模型', defaults.model],
+      reasoningModel: ['思考模型', defaults.reasoningModel]
+    };
+    for (const [id, [label, value]] of Object.entries(placeholders)) {
+      if (value) document.getElementById(id).placeholder = `${label}（默认：${value}）`;
+    }
+    if (defaults.endpoint) {
+      document.getElementById('aiEndpoint').placeholder = `默认：${defaults.endpoint}`;
+    }
+    if (!features.serverKey) {
+      document.getElementById('apiKey').placeholder = '本站未配置默认 Key，请填写自己的 API Key';
+    }
+    if (!features.auth) {
+      document.querySelector('.ai-settings__invite-row').style.display = 'none';
+    }
+    if (limits.maxQuestionLength) {
+      document.getElementById('question').maxLength = limits.maxQuestionLength;
+    }
+  }
+
+  /**
+   * 按当前填写的 Key 与接口地址获取模型列表（/api/models），相同组合只请求一次。
+   * @returns {Promise<Map<string, object>>} 模型 id → { id, name, contextLength, pricing, reasoning }
+   * @private
+   */
+  function loadModelList() {
+    const apiKey = document.getElementById('apiKey').value.trim();
+    const endpoint = document.getElementById('aiEndpoint').value.trim();
+    const key = `${apiKey}\n${endpoint}`;
+    if (modelList && modelList.key === key) return modelList.promise;
+
+    const headers = { 'Content-Type': 'application/json' };
+    const accessToken = getAccessToken();
+    if (!apiKey && accessToken) headers.Authorization = `Bearer ${accessToken}`;
+    const promise = fetch('/api/models', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ apiKey, endpoint })
+    }).then(async (resp) => {
+      if (!resp.ok) throw await readError(resp);
+      const data = await resp.json();
+      return new Map(data.models.map((m) => [m.id, m]));
+    });
+    modelList = { key, promise };
+    // 失败后允许再次聚焦时重试
+    promise.catch(() => {
+      if (modelList && modelList.promise === promise) modelList = null;
+    });
+    return promise;
+  }
+
+  /**
+   * 生成模型在补全列表中的说明：名称、上下文长度、每百万 token 价格与是否支持推理。
+   * @param {object} model
+   * @returns {string}
+   * @private
+   */
+  function describeModel(model) {
+    const parts = [];
+    if (model.name) parts.push(model.name);
+    if (model.contextLength) parts.push(`${Math.round(model.contextLength / 1000)}K 上下文`);
+    if (model.pricing) parts.push(`$${model.pricing.prompt ?? '?'} / $${model.pricing.completion ?? '?'} 每百万 token`);
+    if (model.reasoning) parts.push('支持推理');
+    return parts.join(' · ');
+  }
+
+  /**
+   * 将模型列表填入 datalist，供三个模型输入框共用的自动补全（浏览器按输入内容筛选）。
+   * @param {Map<string, object>} models
+   * @private
+   */
+  function renderModelOptions(models) {
+    const datalist = document.getElementById('model-options');
+    datalist.replaceChildren(
+      ...[...models.values()].map((model) => {
+        const option = document.createElement('option');
+        option.value = model.id;
+        const label = describeModel(model);
+        if (label) option.label = label;
+        return option;
+      })
+    );
+  }
+
+  /**
+   * 按模型列表校验三个模型输入框：不在列表中的标红，思考模型不支持推理时给出提示。
+   * 列表获取失败时只提示原因，不标记输入框。
+   * @private
+   */
+  async function validateModelInputs() {
+    const hint = document.getElementById('model-hint');
+    const inputs = MODEL_INPUT_IDS.map((id) => document.getElementById(id));
+    const messages = [];
+    let models = null;
+    if (inputs.some((input) => input.value.trim())) {
+      try {
+        models = await loadModelList();
+      } catch (error) {
+        messages.push(`无法获取模型列表：${describeError(error)}`);
+      }
+    }
+
+    for (const input of inputs) {
+      const value = input.value.trim();
+      const model = models && value ? models.get(value) : null;
+      const invalid = Boolean(models && value && !model);
+      input.classList.toggle('ai-settings__input--invalid', invalid);
+      if (invalid) {
+        messages.push(`「${value}」不在当前接口的模型列表中，请检查拼写。`);
+      } else if (input.id === 'reasoningModel' && model && model.reasoning === false) {
+        messages.push(`「${value}」未标注支持推理，可能不会输出思考过程。`);
+      }
+    }
+    hint.textContent = messages.join(' ');
+    hint.hidden = messages.length === 0;
+  }
+
+  /**
+   * 绑定模型输入框：聚焦时加载补全列表，修改后校验；Key 或接口地址变化后重新获取。
+   * @private
+   */
+  function initModelAutocomplete() {
+    for (const id of MODEL_INPUT_IDS) {
+      const input = document.getElementById(id);
+      input.addEventListener('focus', () => {
+        loadModelList().then(renderModelOptions).catch(() => {
+          // 失败原因在校验时展示
+        });
+      });
+      input.addEventListener('change', validateModelInputs);
+    }
+    for (const id of ['apiKey', 'aiEndpoint']) {
+      document.getElementById(id).addEventListener('change', () => {
+        modelList = null;
+        document.getElementById('model-options').replaceChildren();
+        validateModelInputs();
+      });
+    }
+  }
+
+  /**
+   * 兑换邀请码为访问令牌并保存到 localStorage。
+   * @private
+   */
+  async function onRedeemInvite() {
+    const inviteInput = document.getElementById('inviteCode');
+    const redeemBtn = document.getElementById('redeem-invite');
+    const code = inviteInput.value.trim();
+    if (!code) {
+      inviteInput.focus();
+      return;
+    }
+
+    redeemBtn.disabled = true;
+    try {
+      const resp = await fetch('/api/auth/redeem', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code })
+      });
+      if (!resp.ok) {
+        inviteInput.value = '';
+        inviteInput.placeholder = describeError(await readError(resp));
+        return;
+      }
+      const data = await resp.json();
+      localStorage.setItem('divination_access_token', data.token);
+      localStorage.setItem('divination_access_expires', String(data.expiresAt));
+      inviteInput.value = '';
+      updateInvitePlaceholder();
+    } catch (err) {
+      inviteInput.placeholder = `兑换失败：${err.message}`;
+    } finally {
+      redeemBtn.disabled = false;
+    }
+  }
+
+  /**
+   * 获取浏览器所在时区。
+   * @returns {string} IANA 时区名，如 "Asia/Shanghai"
+   * @private
+   */
+  function getBrowserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'Asia/Shanghai';
+  }
+
   /**
    * Reasoning 按钮切换事件处理。
    * @param {Event} e 事件对象
@@ -105,6 +498,87 @@ import {
     return button.getAttribute('data-active') === 'true';
   }
 
+  /** @type {Array<string>} 「以字起卦」按钮依次切换的取数方式，空字符串表示关闭 */
+  const TEXT_CAST_MODES = ['', 'count', 'strokes'];
+  /** @type {Object<string, {icon: string, title: string}>} 各取数方式对应的按钮外观 */
+  const TEXT_CAST_LABELS = {
+    '': { icon: 'text_fields', title: '以字起卦：按问题字数或笔画起卦' },
+    count: { icon: 'text_fields', title: '以字起卦（字数）：再点切换为笔画' },
+    strokes: { icon: 'draw', title: '以字起卦（笔画）：再点关闭' }
+  };
+
+  /**
+   * 根据当前起卦方式启用或禁用三个数字输入框。
+   * @private
+   */
+  function syncNumberInputs() {
+    const disabled = getCastMethod() !== 'numbers';
+    ['n1', 'n2', 'n3'].forEach((id) => {
+      document.getElementById(id).disabled = disabled;
+    });
+  }
+
+  /**
+   * 「以时起卦」按钮切换事件处理。
+   * 启用后禁用三个数字输入框，由服务端按农历月、日、时辰起卦。
+   * @param {Event} e 事件对象
+   * @private
+   */
+  function onTimeCastToggle(e) {
+    const button = e.currentTarget;
+    const isActive = button.getAttribute('data-active') !== 'true';
+
+    button.setAttribute('data-active', String(isActive));
+    button.classList.toggle('active', isActive);
+    // 与「以字起卦」互斥
+    if (isActive) setTextCastMode('');
+    syncNumberInputs();
+  }
+
+  /**
+   * 设置「以字起卦」按钮的取数方式并同步外观。
+   * @param {string} mode '' | 'count' | 'strokes'
+   * @private
+   */
+  function setTextCastMode(mode) {
+    const button = document.getElementById('text-cast-toggle');
+    const label = TEXT_CAST_LABELS[mode];
+    button.dataset.mode = mode;
+    button.classList.toggle('active', mode !== '');
+    button.title = label.title;
+    button.querySelector('span').textContent = label.icon;
+  }
+
+  /**
+   * 「以字起卦」按钮点击事件处理：关闭 → 字数 → 笔画 → 关闭。
+   * @param {Event} e 事件对象
+   * @private
+   */
+  function onTextCastToggle(e) {
+    const current = e.currentTarget.dataset.mode || '';
+    const next = TEXT_CAST_MODES[(TEXT_CAST_MODES.indexOf(current) + 1) % TEXT_CAST_MODES.length];
+    setTextCastMode(next);
+    // 与「以时起卦」互斥
+    if (next) {
+      const timeButton = document.getElementById('time-cast-toggle');
+      timeButton.setAttribute('data-active', 'false');
+      timeButton.classList.remove('active');
+    }
+    syncNumberInputs();
+  }
+
+  /**
+   * 获取当前起卦方式。
+   * @returns {string} 'numbers' | 'time' | 'count' | 'strokes'
+   * @private
+   */
+  function getCastMethod() {
+    if (document.getElementById('time-cast-toggle').getAttribute('data-active') === 'true') {
+      return 'time';
+    }
+    return document.getElementById('text-cast-toggle').dataset.mode || 'numbers';
+  }
+
   /**
    * 表单提交事件处理。
    * @param {SubmitEvent} e 事件对象
@@ -159,19 +633,25 @@ import {
     // 为结果区域添加激活状态类，用于控制分割线的显示
     document.querySelector('.results-area').classList.add('results-area--active');
 
-    const numbers = [
-      parseInt(document.getElementById('n1').value, 10),
-      parseInt(document.getElementById('n2').value, 10),
-      parseInt(document.getElementById('n3').value, 10)
-    ];
+    const castMethod = getCastMethod();
+    const numbers = castMethod !== 'numbers'
+      ? undefined
+      : [
+        parseInt(document.getElementById('n1').value, 10),
+        parseInt(document.getElementById('n2').value, 10),
+        parseInt(document.getElementById('n3').value, 10)
+      ];
     const question = document.getElementById('question').value.trim();
     const showReasoning = isReasoningEnabled();
 
     const metaEl = document.getElementById('output-meta');
     const reasoningEl = document.getElementById('output-reasoning');
     const answerEl = document.getElementById('output-answer');
+    const usageEl = document.getElementById('output-usage');
     const reasoningSection = document.getElementById('reasoning-section');
 
+    renderUsage(usageEl, null);
+
     // 初始隐藏推理面板，只有在收到事件后且用户仍允许时再展示
     reasoningSection.classList.add('reasoning-section--hidden');
 
@@ -231,9 +711,16 @@ import {
     switchToStopState();
     toggleBtn.classList.add('button--processing');
 
+    /** @type {string} 最近收到的事件 id，断线后凭此续传 */
+    let lastEventId = '';
+
     const stopHandler = (evt) => {
       evt.preventDefault();
       controller.abort();
+      // 通知服务端停止仍在后台进行的生成
+      if (lastEventId) {
+        fetch('/api/divination', { method: 'DELETE', headers: { 'Last-Event-ID': lastEventId } }).catch(() => {});
+      }
       toggleBtn.disabled = true;
       toggleBtn.classList.remove('button--processing');
     };
@@ -246,6 +733,9 @@ import {
     const reasoningModelInput = document.getElementById('reasoningModel');
     const aiEndpointInput = document.getElementById('aiEndpoint');
     const openrouterSortSelect = document.getElementById('openrouterSort');
+    const timeZoneInput = document.getElementById('timeZone');
+    const longitudeInput = document.getElementById('longitude');
+    const answerFormatSelect = document.getElementById('answerFormat');
 
     const apiKey = apiKeyInput.value.trim();
     const model = aiModelInput.value.trim();
@@ -253,6 +743,9 @@ import {
     const reasoningModel = reasoningModelInput.value.trim();
     const endpoint = aiEndpointInput.value.trim();
     const openrouterSort = openrouterSortSelect.value.trim();
+    const timeZoneOverride = timeZoneInput.value.trim();
+    const longitudeVal = longitudeInput.value.trim();
+    const answerFormat = answerFormatSelect.value;
 
     // 持久化到 localStorage
     localStorage.setItem('divination_api_key', apiKey);
@@ -261,19 +754,36 @@ import {
     localStorage.setItem('divination_reasoning_model', reasoningModel);
     localStorage.setItem('divination_ai_endpoint', endpoint);
     localStorage.setItem('divination_openrouter_sort', openrouterSort);
+    localStorage.setItem('divination_time_zone', timeZoneOverride);
+    localStorage.setItem('divination_longitude', longitudeVal);
+    localStorage.setItem('divination_answer_format', answerFormat);
 
     let finalAnswer = '';
     let finalTitle = '';
+    /** @type {string} meta 的纯文本形式，用于保存与历史搜索 */
+    let metaPlainText = '';
+    /** @type {string} 实际作答的模型（发生回退时为备用模型） */
+    let actualModel = '';
+    /** @type {object|null} 服务端 usage 事件给出的 token 用量 */
+    let usageData = null;
+    /** @type {object|null} 结构化模式下按 section 事件拼接的分段内容 */
+    let sectionsData = null;
 
     try {
+      const headers = {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream'
+      };
+      // 使用本站 Key 时携带邀请码兑换的访问令牌
+      const accessToken = getAccessToken();
+      if (!apiKey && accessToken) headers.Authorization = `Bearer ${accessToken}`;
+
       const resp = await fetch('/api/divination', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Accept: 'text/event-stream'
-        },
+        headers,
         signal: controller.signal,
         body: JSON.stringify({
+          method: castMethod,
           numbers,
           question,
           show_reasoning: showReasoning,
@@ -282,105 +792,200 @@ import {
           titleModel,
           reasoningModel,
           endpoint,
-          openrouterSort
+          openrouterSort,
+          // 未手动指定时自动发送浏览器时区；填写经度后服务端按真太阳时排盘
+          timeZone: timeZoneOverride || getBrowserTimeZone(),
+          longitude: longitudeVal ? parseFloat(longitudeVal) : undefined,
+          format: answerFormat || undefined
         })
       });
 
       if (!resp.ok || !resp.body) {
-        metaEl.textContent = `请求失败：${resp.status} ${resp.statusText}`;
+        const error = await readError(resp);
+        metaEl.textContent = describeError(error);
         clearLoading(reasoningEl);
         clearLoading(answerEl);
+        if (error.code === 'AUTH_REQUIRED') {
+          // 需要邀请码：展开设置面板并聚焦邀请码输入框
+          if (!document.getElementById('ai-settings-content').classList.contains('active')) {
+            toggleAiSettings();
+          }
+          document.getElementById('inviteCode').focus();
+        }
         return;
       }
 
-      const decoder = new TextDecoder('utf-8');
-      const reader = resp.body.getReader();
-      let buffer = '';
+      /** @type {boolean} 是否已收到 done 事件（服务端正常结束） */
+      let isFinished = false;
+      let reconnectCount = 0;
+      /** @type {Response|null} */
+      let streamResp = resp;
 
       while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
-        buffer += decoder.decode(value, { stream: true });
-
-        let boundary;
-        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
-          const rawEvent = buffer.slice(0, boundary).trim();
-          buffer = buffer.slice(boundary + 2);
+        if (streamResp) {
+          try {
+            for await (const { id, event: eventType, data: dataStr } of readSSE(streamResp.body)) {
+              if (id) lastEventId = id;
+              switch (eventType) {
+                case 'meta': {
+                  try {
+                    const metaData = JSON.parse(dataStr);
+                    actualModel = metaData.model || '';
+                    metaPlainText = renderMeta(metaEl, metaData);
+                    if (metaData.cached) {
+                      metaPlainText = appendMetaNotice(metaEl, '同一时辰内已占过此问，本次直接取用上次的解卦', metaPlainText);
+                    }
+                    clearLoading(metaEl);
+                  } catch (_) {
+                    // 忽略解析错误
+                  }
+                  break;
+                }
+                case 'notice': {
+                  // 敏感问题：服务端不起卦解卦，改为下发固定提示与求助资源
+                  try {
+                    answerMarkdown = formatNotice(JSON.parse(dataStr));
+                    metaPlainText = '本次未起卦';
+                    metaEl.textContent = metaPlainText;
+                    clearLoading(metaEl);
+                    clearLoading(answerEl);
+                    answerEl.innerHTML = DOMPurify.sanitize(marked.parse(answerMarkdown));
+                  } catch (_) {
+                    // 忽略解析错误
+                  }
+                  break;
+                }
+                case 'fallback': {
+                  // 主模型不可用，服务端已切换至备用模型
+                  try {
+                    const { model: fallbackModel } = JSON.parse(dataStr);
+                    actualModel = fallbackModel;
+                    metaPlainText = appendMetaNotice(metaEl, `主模型不可用，已切换至备用模型：${fallbackModel}`, metaPlainText);
+                  } catch (_) {
+                    // 忽略解析错误
+                  }
+                  break;
+                }
+                case 'usage': {
+                  try {
+                    usageData = JSON.parse(dataStr);
+                    renderUsage(usageEl, usageData);
+                  } catch (_) {
+                    // 忽略解析错误
+                  }
+                  break;
+                }
+                case 'title': {
+                  // 服务端收齐并清理后一次性下发
+                  const title = sanitizeTitle(dataStr.replace(/\\n/g, '\n'));
+                  if (title) {
+                    document.querySelector('.page-header__title').textContent = title;
+                    isTitleStarted = true;
+                  }
+                  break;
+                }
+                case 'reasoning': {
+                  // 首次收到 reasoning 数据时，移除隐藏类并清除等待状态
+                  if (reasoningSection.classList.contains('reasoning-section--hidden')) {
+                    reasoningSection.classList.remove('reasoning-section--hidden');
+                    clearLoading(reasoningEl);
+                    clearLoading(answerEl); // 开始思考后清除答案区域的等待状态
+                    updateReasoningTitle('thinking');
+                    // 确保思考过程展开显示
+                    document.querySelector('.reasoning-section').classList.remove('collapsed');
+                    isReasoningStarted = true;
+                  }
+                  reasoningMarkdown += dataStr.replace(/\\n/g, '\n');
+                  const fixedReasoning = fixMarkdownHeadings(reasoningMarkdown);
+                  reasoningEl.innerHTML = DOMPurify.sanitize(marked.parse(fixedReasoning));
+                  updateReasoningPreviewIfCollapsed(); // 更新预览
+                  break;
+                }
+                case 'answer': {
+                  // 首次进入answer流时，如果思考过程已开始且尚未标记完成，则立即标记完成
+                  if (isReasoningStarted && !hasReasoningCompleted) {
+                    updateReasoningTitle('completed');
+                    autoCollapseReasoning();
+                    hasReasoningCompleted = true;
+                  }
 
-          const lines = rawEvent.split('\n');
-          /** @type {string} */
-          let eventType = 'message';
-          const dataParts = [];
-          for (const line of lines) {
-            if (line.startsWith('event:')) {
-              eventType = line.slice(6).trim();
-            } else if (line.startsWith('data:')) {
-              dataParts.push(line.slice(5).replace(/^\s/, ''));
-            }
-          }
-          const dataStr = dataParts.join('\n');
-
-          switch (eventType) {
-            case 'meta': {
-              try {
-                const metaData = JSON.parse(dataStr);
-                const { question: q, hexagram: h, time } = metaData;
-                metaEl.textContent = `所问之事：${q}\n所得之卦：${h}\n所占之时：${time}`;
-                clearLoading(metaEl);
-              } catch (_) {
-                // 忽略解析错误
-              }
-              break;
-            }
-            case 'title': {
-              if (!isTitleStarted) {
-                document.querySelector('.page-header__title').textContent = '';
-                isTitleStarted = true;
+                  if (answerEl.classList.contains('loading')) {
+                    clearLoading(answerEl);
+                  }
+                  answerMarkdown += dataStr.replace(/\\n/g, '\n');
+                  const fixedAnswer = fixMarkdownHeadings(answerMarkdown);
+                  answerEl.innerHTML = DOMPurify.sanitize(marked.parse(fixedAnswer));
+                  break;
+                }
+                case 'section': {
+                  // 结构化模式：按字段拼接后以卡片重新渲染
+                  try {
+                    if (isReasoningStarted && !hasReasoningCompleted) {
+                      updateReasoningTitle('completed');
+                      autoCollapseReasoning();
+                      hasReasoningCompleted = true;
+                    }
+                    clearLoading(answerEl);
+                    sectionsData = applySection(sectionsData || {}, JSON.parse(dataStr));
+                    answerMarkdown = sectionsToMarkdown(sectionsData);
+                    renderSections(answerEl, sectionsData);
+                  } catch (_) {
+                    // 忽略解析错误
+                  }
+                  break;
+                }
+                case 'error': {
+                  let error;
+                  try {
+                    error = JSON.parse(dataStr);
+                  } catch (_) {
+                    error = { code: '', message: dataStr };
+                  }
+                  answerEl.textContent += `\n\n[错误] ${describeError(error)}`;
+                  break;
+                }
+                case 'done': {
+                  isFinished = true;
+                  break;
+                }
+                default:
+                  break;
               }
-              document.querySelector('.page-header__title').textContent += dataStr.replace(/\\n/g, '\n');
-              break;
             }
-            case 'reasoning': {
-              // 首次收到 reasoning 数据时，移除隐藏类并清除等待状态
-              if (reasoningSection.classList.contains('reasoning-section--hidden')) {
-                reasoningSection.classList.remove('reasoning-section--hidden');
-                clearLoading(reasoningEl);
-                clearLoading(answerEl); // 开始思考后清除答案区域的等待状态
-                updateReasoningTitle('thinking');
-                // 确保思考过程展开显示
-                document.querySelector('.reasoning-section').classList.remove('collapsed');
-                isReasoningStarted = true;
-              }
-              reasoningMarkdown += dataStr.replace(/\\n/g, '\n');
-              const fixedReasoning = fixMarkdownHeadings(reasoningMarkdown);
-              reasoningEl.innerHTML = DOMPurify.sanitize(marked.parse(fixedReasoning));
-              updateReasoningPreviewIfCollapsed(); // 更新预览
-              break;
-            }
-            case 'answer': {
-              // 首次进入answer流时，如果思考过程已开始且尚未标记完成，则立即标记完成
-              if (isReasoningStarted && !hasReasoningCompleted) {
-                updateReasoningTitle('completed');
-                autoCollapseReasoning();
-                hasReasoningCompleted = true;
-              }
-
-              if (answerEl.classList.contains('loading')) {
-                clearLoading(answerEl);
-              }
-              answerMarkdown += dataStr.replace(/\\n/g, '\n');
-              const fixedAnswer = fixMarkdownHeadings(answerMarkdown);
-              answerEl.innerHTML = DOMPurify.sanitize(marked.parse(fixedAnswer));
-              break;
-            }
-            case 'error': {
-              answerEl.textContent += `\n\n[错误] ${dataStr}`;
-              break;
-            }
-            default:
-              break;
+          } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            console.warn('SSE 连接中断：', err);
           }
         }
+
+        // 正常结束、尚未收到任何事件或重连次数用尽时不再续传
+        if (isFinished || !lastEventId || reconnectCount >= MAX_SSE_RECONNECTS) break;
+        reconnectCount += 1;
+        await waitForRetry(1000 * reconnectCount, controller.signal);
+        try {
+          streamResp = await fetch('/api/divination', {
+            method: 'GET',
+            headers: { Accept: 'text/event-stream', 'Last-Event-ID': lastEventId },
+            signal: controller.signal
+          });
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          streamResp = null;
+          continue;
+        }
+        // 会话已过期或服务端未启用续传
+        if (streamResp.status === 404) break;
+        if (!streamResp.ok || !streamResp.body) streamResp = null;
+      }
+
+      if (!isFinished) {
+        const notice = document.createElement('p');
+        notice.textContent = '[连接中断] 网络异常，未能恢复本次占卜';
+        answerEl.appendChild(notice);
+      }
+      // 标题模型失败时，以问题本身生成简短标题
+      if (!isTitleStarted) {
+        document.querySelector('.page-header__title').textContent = fallbackTitle(question);
       }
       finalAnswer = answerMarkdown;
       finalTitle = document.querySelector('.page-header__title').textContent;
@@ -426,8 +1031,12 @@ import {
           await saveCurrentDivination(
             finalTitle,
             renderedAnswer,
-            metaEl.textContent,
-            renderedReasoning
+            metaPlainText || metaEl.textContent,
+            renderedReasoning,
+            metaPlainText ? metaEl.innerHTML : '',
+            actualModel,
+            usageData,
+            sectionsData
           );
           updateStatusIcon();
         }
@@ -443,12 +1052,15 @@ import {
     document.getElementById('ai-settings-toggle').addEventListener('click', toggleAiSettings);
     document.getElementById('divination-form').addEventListener('submit', onSubmit);
     document.getElementById('reasoning-toggle').addEventListener('click', onReasoningToggle);
+    document.getElementById('time-cast-toggle').addEventListener('click', onTimeCastToggle);
+    document.getElementById('text-cast-toggle').addEventListener('click', onTextCastToggle);
     document.getElementById('reasoning-header').addEventListener('click', toggleReasoningCollapse);
     document.getElementById('reasoning-collapse-btn').addEventListener('click', (e) => {
       e.stopPropagation();
       toggleReasoningCollapse();
     });
     document.getElementById('status-btn').addEventListener('click', handleStatusButtonClick);
+    document.getElementById('redeem-invite').addEventListener('click', onRedeemInvite);
     
     // 监听AI端点输入变化
     document.getElementById('aiEndpoint').addEventListener('input', (e) => {
@@ -472,8 +1084,10 @@ import {
       onPanelClose: clearChat,
     });
 
-    // 初始化配置
+    // 初始化配置；服务端默认值异步加载，不阻塞页面
     loadLocalSettings();
+    loadServerConfig();
+    initModelAutocomplete();
     
     // 初始化数据库
     try {
@@ -511,12 +1125,21 @@ import {
     clearChat();
 
     document.querySelector('.page-header__title').textContent = record.title;
-    document.getElementById('output-meta').textContent = record.meta;
+    const metaEl = document.getElementById('output-meta');
+    if (record.metaHtml) {
+      metaEl.innerHTML = DOMPurify.sanitize(record.metaHtml);
+    } else {
+      metaEl.textContent = record.meta;
+    }
+    renderUsage(document.getElementById('output-usage'), record.usage || null);
     const answerEl = document.getElementById('output-answer');
     
     const isHTML = (str) => /<[^>]*>/.test(str);
     
-    if (record.result) {
+    if (record.sections) {
+      // 结构化记录按分段数据重新渲染卡片
+      renderSections(answerEl, record.sections);
+    } else if (record.result) {
       if (isHTML(record.result)) {
         answerEl.innerHTML = DOMPurify.sanitize(record.result);
       } else {
@@ -558,13 +1181,21 @@ import {
    * @param {string} result - AI生成的完整回复（HTML格式）
    * @param {string} meta - 卦象元数据
    * @param {string} reasoning - AI的思考过程内容（HTML格式）
+   * @param {string} metaHtml - 卦象元数据的渲染结果（HTML格式，含折叠详情）
+   * @param {string} model - 实际作答的模型
+   * @param {object|null} usage - token 用量与估算费用
+   * @param {object|null} sections - 结构化模式下的分段内容（初现/中应/终局、宜/忌、通俗释义、古诀点睛）
    */
-  async function saveCurrentDivination(title, result, meta, reasoning = '') {
+  async function saveCurrentDivination(title, result, meta, reasoning = '', metaHtml = '', model = '', usage = null, sections = null) {
     const record = {
       title,
       result,
       meta,
+      metaHtml,
       reasoning,
+      model,
+      usage,
+      sections,
       timestamp: Date.now()
     };
     try {
@@ -645,6 +1276,7 @@ import {
     metaEl.textContent = '';
     answerEl.innerHTML = '';
     reasoningEl.innerHTML = '';
+    renderUsage(document.getElementById('output-usage'), null);
     
     clearLoading(metaEl);
     clearLoading(answerEl);
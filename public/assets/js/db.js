@@ -6,7 +6,7 @@
 
 const DB_NAME = 'DivinationHistoryDB';
 const STORE_NAME = 'divinations';
-const DB_VERSION = 4;
+const DB_VERSION = 7;
 
 let db = null;
 
@@ -70,6 +70,24 @@ function initDB() {
         // 旧版本数据仍然兼容，但新数据将保存为 HTML 格式
         // 注意：旧数据仍包含 Markdown，需要在读取时进行兼容处理
       }
+
+      // 版本 5 升级：支持存储 meta 的 HTML 渲染结果（含可折叠详情）
+      if (event.oldVersion < 5) {
+        console.log('执行版本 5 数据库升级：支持存储卦象详情 HTML...');
+        // 旧记录无 metaHtml 字段，读取时回退为纯文本 meta
+      }
+
+      // 版本 6 升级：支持存储 token 用量
+      if (event.oldVersion < 6) {
+        console.log('执行版本 6 数据库升级：支持存储 token 用量...');
+        // 旧记录无 usage 字段，读取时不显示用量
+      }
+
+      // 版本 7 升级：支持存储结构化解卦的分段内容
+      if (event.oldVersion < 7) {
+        console.log('执行版本 7 数据库升级：支持存储结构化分段...');
+        // 旧记录无 sections 字段，读取时按 result 渲染
+      }
     };
   });
 }
@@ -277,6 +277,251 @@ export function handleTextareaAutoResize() {
   adjustHeight();
 }
 
+/**
+ * 创建一个可折叠的详情块。
+ * @param {string} summary 标题
+ * @param {Array<string>} lines 内容行
+ * @returns {HTMLDetailsElement}
+ * @private
+ */
+function createMetaDetails(summary, lines) {
+  const details = document.createElement('details');
+  details.className = 'meta-details';
+  const summaryEl = document.createElement('summary');
+  summaryEl.className = 'meta-details__summary';
+  summaryEl.textContent = summary;
+  const body = document.createElement('div');
+  body.className = 'meta-details__body';
+  body.textContent = lines.join('\n');
+  details.append(summaryEl, body);
+  return details;
+}
+
+/**
+ * 渲染 meta 事件：基础信息平铺展示，三宫详解与历法信息以可折叠详情展示。
+ * @param {HTMLElementAlias} element 目标元素
+ * @param {object} meta 服务端 meta 事件数据
+ * @returns {string} 对应的纯文本，用于保存与历史搜索（首行始终为「所问之事：」）
+ */
+export function renderMeta(element, meta) {
+  const { question, numbers, derivation, hexagram, time, timeBasis, calendar, palaces, relations } = meta;
+
+  const lines = [`所问之事：${question}`, `所得之卦：${hexagram}`, `所占之时：${time}`];
+  if (timeBasis) {
+    lines.push(`时间基准：${timeBasis.text}`);
+  }
+  if (derivation && Array.isArray(numbers)) {
+    lines.push(`起卦之数：${numbers.join(' ')}（${derivation.text}）`);
+  }
+
+  element.innerHTML = '';
+  element.appendChild(document.createTextNode(lines.join('\n')));
+  const plain = [...lines];
+
+  if (Array.isArray(palaces)) {
+    const palaceLines = palaces.map(
+      (p) => `${p.position}·${p.name}（${p.element}·${p.direction}·${p.spirit}·${p.luck}）\n　${p.verse}`
+    );
+    if (Array.isArray(relations)) {
+      palaceLines.push(`五行生克：${relations.map((r) => r.text).join('；')}`);
+    }
+    element.appendChild(createMetaDetails('三宫详解', palaceLines));
+    plain.push('三宫详解', ...palaceLines);
+  }
+
+  if (calendar) {
+    const { lunarDate, solarTerm, xunKong, yueJiang, yi, ji } = calendar;
+    const calendarLines = [
+      `农历：${lunarDate}`,
+      `节气：${solarTerm.current.name}（${solarTerm.current.date}）→ ${solarTerm.next.name}（${solarTerm.next.date}）`,
+      `旬空：${xunKong}`,
+      `月将：${yueJiang.branch}（${yueJiang.name}）`,
+      `宜：${yi.join('、') || '无'}`,
+      `忌：${ji.join('、') || '无'}`
+    ];
+    element.appendChild(createMetaDetails('历法信息', calendarLines));
+    plain.push('历法信息', ...calendarLines);
+  }
+
+  return plain.join('\n');
+}
+
+/**
+ * 在 meta 区域末尾追加一条提示（如模型回退）。
+ * @param {HTMLElementAlias} element 目标元素
+ * @param {string} text 提示文案
+ * @param {string} plainText 当前 meta 的纯文本
+ * @returns {string} 追加提示后的纯文本
+ */
+export function appendMetaNotice(element, text, plainText) {
+  const notice = document.createElement('div');
+  notice.className = 'meta-notice';
+  notice.textContent = text;
+  element.appendChild(notice);
+  return plainText ? `${plainText}\n${text}` : text;
+}
+
+/**
+ * 在结果底部渲染 token 用量与估算费用；无用量数据时隐藏。
+ * @param {HTMLElementAlias} element 目标元素
+ * @param {object|null} usage 服务端 usage 事件数据
+ */
+export function renderUsage(element, usage) {
+  if (!usage) {
+    element.textContent = '';
+    element.hidden = true;
+    return;
+  }
+  const parts = [`输入 ${usage.prompt} tokens`, `输出 ${usage.completion} tokens`];
+  if (usage.reasoning) parts.push(`其中推理 ${usage.reasoning}`);
+  if (typeof usage.cost === 'number') {
+    const symbol = usage.currency === 'CNY' ? '¥' : usage.currency === 'USD' ? '$' : `${usage.currency} `;
+    parts.push(`约 ${symbol}${usage.cost.toFixed(4)}`);
+  }
+  element.textContent = `用量：${parts.join(' · ')}`;
+  element.hidden = false;
+}
+
+/**
+ * 结构化解卦的分段字段：text 为字符串，list 为字符串数组。
+ * 与服务端 src/lib/structured.js 中的 SECTION_FIELDS 保持一致。
+ */
+const SECTION_FIELDS = {
+  initial: 'text',
+  middle: 'text',
+  final: 'text',
+  favorable: 'list',
+  unfavorable: 'list',
+  explanation: 'text',
+  verse: 'list'
+};
+
+/**
+ * 将一条 section 事件合并到分段结果中（与服务端 applySection 保持同一规则）。
+ * @param {object} sections 已收到的分段内容，会被原地修改
+ * @param {{field: string, index?: number, delta: string}} update section 事件数据
+ * @returns {object} sections 本身
+ */
+export function applySection(sections, { field, index, delta }) {
+  if (SECTION_FIELDS[field] === 'list') {
+    const list = (sections[field] ??= []);
+    list[index] = (list[index] || '') + delta;
+  } else if (SECTION_FIELDS[field] === 'text') {
+    sections[field] = (sections[field] || '') + delta;
+  }
+  return sections;
+}
+
+/**
+ * 创建一张分段卡片。
+ * @param {string} title 卡片标题
+ * @param {string} modifier BEM 修饰符，如 stage、favorable
+ * @param {string} html 已清理的正文 HTML
+ * @returns {string}
+ */
+function sectionCard(title, modifier, html) {
+  return `<article class="section-card section-card--${modifier}"><h4 class="section-card__title">${title}</h4><div class="section-card__body">${html}</div></article>`;
+}
+
+/**
+ * 以卡片形式渲染结构化解卦：初现/中应/终局三阶段、宜/忌清单、通俗释义与古诀点睛。
+ * 尚未收到内容的分段不渲染，流式过程中可反复调用。
+ * @param {HTMLElementAlias} element 目标元素
+ * @param {object} sections 分段内容
+ */
+export function renderSections(element, sections) {
+  const markdown = (text) => marked.parse(text || '');
+  const list = (items) => `<ul>${items.filter(Boolean).map((item) => `<li>${marked.parseInline(item)}</li>`).join('')}</ul>`;
+
+  const stages = [
+    ['initial', '初现'],
+    ['middle', '中应'],
+    ['final', '终局']
+  ]
+    .filter(([field]) => sections[field])
+    .map(([field, title]) => sectionCard(title, 'stage', markdown(sections[field])));
+
+  const advice = [
+    ['favorable', '宜'],
+    ['unfavorable', '忌']
+  ]
+    .filter(([field]) => sections[field]?.length)
+    .map(([field, title]) => sectionCard(title, field, list(sections[field])));
+
+  const parts = [];
+  if (stages.length) parts.push(`<div class="section-cards__row">${stages.join('')}</div>`);
+  if (advice.length) parts.push(`<div class="section-cards__row">${advice.join('')}</div>`);
+  if (sections.explanation) parts.push(sectionCard('通俗释义', 'explanation', markdown(sections.explanation)));
+  if (sections.verse?.length) {
+    const lines = sections.verse.filter(Boolean).map((line) => `<p>${marked.parseInline(line)}</p>`);
+    parts.push(sectionCard('古诀点睛', 'verse', lines.join('')));
+  }
+
+  element.innerHTML = DOMPurify.sanitize(`<div class="section-cards">${parts.join('')}</div>`);
+}
+
+/**
+ * 将结构化解卦转换为 Markdown 全文，用于判断是否有内容及复制分享。
+ * @param {object} sections 分段内容
+ * @returns {string}
+ */
+export function sectionsToMarkdown(sections) {
+  const blocks = [];
+  const stages = [
+    ['initial', '初现'],
+    ['middle', '中应'],
+    ['final', '终局']
+  ].filter(([field]) => sections[field]);
+  if (stages.length) {
+    blocks.push('## 解析', ...stages.map(([field, title]) => `**${title}**：${sections[field]}`));
+  }
+  const advice = [
+    ['favorable', '宜'],
+    ['unfavorable', '忌']
+  ].filter(([field]) => sections[field]?.length);
+  if (advice.length) {
+    blocks.push('## 建议', ...advice.map(([field, title]) => `**${title}**：${sections[field].join('；')}`));
+  }
+  if (sections.explanation) blocks.push('## 通俗释义', sections.explanation);
+  if (sections.verse?.length) blocks.push('## 古诀点睛', sections.verse.join('  \n'));
+  return blocks.join('\n\n');
+}
+
+/**
+ * 将敏感问题提示（notice 事件）转换为 Markdown，与解卦结果一样展示和保存。
+ * @param {{title: string, message: string, resources?: {name: string, contact: string}[]}} notice
+ * @returns {string}
+ */
+export function formatNotice(notice) {
+  const resources = (notice.resources || []).map(r => `- ${r.name}：**${r.contact}**`).join('\n');
+  return `### ${notice.title}\n\n${notice.message}${resources ? `\n\n${resources}` : ''}`;
+}
+
+/**
+ * 清理占卜标题：去掉「占问:」等前缀，标点与空白统一折叠为单个空格，过长时截断。
+ * 与服务端 src/index.js 中的 sanitizeTitle 保持同一规则。
+ * @param {string} text 原始标题
+ * @returns {string}
+ */
+export function sanitizeTitle(text) {
+  return String(text || '')
+    .replace(/^\s*(占问|标题)\s*[:：]\s*/, '')
+    .replace(/[\p{P}\p{S}\s]+/gu, ' ')
+    .trim()
+    .slice(0, 20);
+}
+
+/**
+ * 标题模型失败时的备用标题：取清理后问题的前 12 个字符。
+ * @param {string} question 所问之事
+ * @returns {string}
+ */
+export function fallbackTitle(question) {
+  const title = sanitizeTitle(question);
+  if (!title) return '占卜';
+  return title.length > 12 ? `${title.slice(0, 12)}…` : title;
+}
+
 /**
  * 修复不符合 GFM 规范的 Markdown 标题。
  * @param {string} markdown
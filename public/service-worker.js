@@ -53,6 +53,7 @@ self.addEventListener('activate', (event) => {
 // =============================
 self.addEventListener('fetch', (event) => {
   if (event.request.method !== 'GET') return; // 非 GET 请求直接放行
+  if (new URL(event.request.url).pathname.startsWith('/api/')) return; // 接口请求（含 SSE 续传）不走缓存
   event.respondWith(cacheFirst(event.request));
 });
 
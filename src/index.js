@@ -7,8 +7,57 @@
  * 3. AI 流式 SSE 推送
  */
 
-import { generateHexagram } from "./lib/hexagram.js";
-import { getFullBazi } from "./lib/ganzhi.js";
+import {
+  generateHexagram,
+  castPalaces,
+  parsePalaces,
+  analyzeRelations,
+  describePalaces,
+  castFromText
+} from "./lib/hexagram.js";
+import {
+  getFullBazi,
+  getBaziDetail,
+  getTimeCastNumbers,
+  getTimeBasis,
+  getCalendarContext,
+  describeCalendar
+} from "./lib/ganzhi.js";
+import { resolveProvider, splitThinkTags } from "./lib/providers.js";
+import { consumeQuota, getClientKey } from "./lib/ratelimit.js";
+import { SSESession, SSE_HEADERS, parseLastEventId } from "./lib/sse.js";
+import { createDivinationStream } from "./lib/stream.js";
+import { MAX_QUESTION_LENGTH, MODELS_SCHEMA, ValidationError, validateBody } from "./lib/validate.js";
+import { checkEndpoint } from "./lib/endpoint.js";
+import { isCrossOrigin, isOriginAllowed, isStrictCors, preflightResponse, withCors } from "./lib/cors.js";
+import {
+  isScreeningEnabled,
+  screenByKeywords,
+  buildClassifierMessages,
+  parseClassifierOutput,
+  buildNotice
+} from "./lib/screening.js";
+import { STRUCTURED_PROMPT, SectionStream, applySection } from "./lib/structured.js";
+import { isCacheEnabled, getCacheTtl, buildCacheKey, readCache, writeCache } from "./lib/cache.js";
+import { createLogger, getRequestId } from "./lib/log.js";
+import { envNumber } from "./lib/env.js";
+import {
+  listVirtualModels,
+  parseChatRequest,
+  ChatChunkEncoder,
+  createChunkStream,
+  toOpenAIError
+} from "./lib/openai.js";
+import {
+  isAuthEnabled,
+  createInvite,
+  redeemInvite,
+  verifyAccessToken,
+  isAdminRequest
+} from "./lib/auth.js";
+
+// Durable Object 类需从入口模块导出
+export { RateLimiter } from "./lib/ratelimit.js";
 
 // ********************************************************
 // *                      工具函数                        *
@@ -39,7 +88,10 @@ const buildSafeHeaders = init => {
     "authorization",
     "content-type",
     "http-referer", // 供统计来源使用
-    "x-title" // 标识调用来源
+    "x-title", // 标识调用来源
+    "x-api-key", // Anthropic 鉴权
+    "anthropic-version", // Anthropic 接口版本
+    "x-goog-api-key" // Gemini 鉴权
   ];
   for (const [k, v] of new Headers(init)) {
     if (whitelist.includes(k.toLowerCase())) safe.append(k, v);
@@ -47,328 +99,1536 @@ const buildSafeHeaders = init => {
   return safe;
 };
 
-/** 迭代 AI SSE 流中的 data 行 */
-async function* iterateSSELines(bodyStream) {
-  const reader = bodyStream.getReader();
-  const decoder = new TextDecoder();
-  let buf = "";
-  while (true) {
-    const { value, done } = await reader.read();
-    if (done) break;
-    buf += decoder.decode(value, { stream: true });
-    let idx;
-    while ((idx = buf.indexOf("\n")) !== -1) {
-      const line = buf.slice(0, idx).trim();
-      buf = buf.slice(idx + 1);
-      if (line.startsWith("data: ")) yield line.slice(6);
+/**
+ * 按起卦方式取得三数及推导过程。
+ * numbers 直接使用用户输入；time 取农历月日时（按 timeOptions 的时间基准）；count/strokes 由问题文字取数。
+ * 问题文字不足以起卦时抛出 Error。
+ */
+function castNumbers(method, numbers, question, date = new Date(), timeOptions = {}) {
+  if (method === "time") {
+    const cast = getTimeCastNumbers(date, timeOptions);
+    return { numbers: cast.numbers, derivation: { mode: "time", text: cast.text } };
+  }
+  if (method === "count" || method === "strokes") {
+    return castFromText(question, method);
+  }
+  return { numbers, derivation: null };
+}
+
+/** 携带 HTTP 状态码的错误，供 JSON 模式映射响应状态 */
+class HttpError extends Error {
+  constructor(status, message, { retryable = false, code } = {}) {
+    super(message);
+    this.status = status;
+    // 是否值得重试（限流、5xx、网络错误、首 token 超时）
+    this.retryable = retryable;
+    // 机器可读的错误码，随 JSON 错误响应与 SSE error 事件下发
+    this.code = code || ERROR_CODES_BY_STATUS[status] || "INTERNAL_ERROR";
+  }
+}
+
+/** 未显式指定错误码时按状态码推断 */
+const ERROR_CODES_BY_STATUS = {
+  429: "UPSTREAM_RATE_LIMITED",
+  499: "CANCELLED",
+  502: "UPSTREAM_ERROR",
+  504: "UPSTREAM_TIMEOUT"
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** 客户端已取消时抛出不可重试的 HttpError（499：客户端关闭请求） */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new HttpError(499, "客户端已取消请求");
+}
+
+/**
+ * 上游响应的大小与时长上限，防止异常接口长时间占用 Worker。
+ * 环境变量 MAX_RESPONSE_BYTES（默认 8MB）与 MAX_RESPONSE_MS（默认 5 分钟），为 0 时不限制。
+ */
+const responseLimits = env => ({
+  maxBytes: envNumber(env.MAX_RESPONSE_BYTES, 8 * 1024 * 1024),
+  maxMs: envNumber(env.MAX_RESPONSE_MS, 300000)
+});
+
+/**
+ * 解析备用模型列表。
+ * 支持数组或字符串（JSON 数组，或以逗号分隔的模型名）；
+ * 每项可为模型名，或 { model, endpoint?, provider? } 对象。
+ */
+function parseFallbacks(value) {
+  if (!value) return [];
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch {
+      list = value.split(",");
+    }
+  }
+  if (!Array.isArray(list)) throw new Error("fallbacks 需为数组");
+  return list.map(item => {
+    const entry = typeof item === "string" ? { model: item.trim() } : item;
+    if (!entry || typeof entry.model !== "string" || !entry.model.trim()) {
+      throw new Error("fallbacks 的每一项都需包含 model");
+    }
+    return { model: entry.model.trim(), endpoint: entry.endpoint?.trim(), provider: entry.provider };
+  });
+}
+
+/**
+ * 汇总各次模型调用的用量，并按价格表估算费用。
+ * 价格表 PRICES 形如 { "模型名": { "prompt": 0.28, "completion": 0.88, "currency": "USD" } }，
+ * 单价为每百万 token；仅当所有调用的模型均有定价时才给出 cost。
+ * @param {{purpose: string, model: string, usage: object}[]} calls - 各次调用及其归一化用量。
+ * @param {object} env - Worker 环境变量。
+ * @return {object|null} 用量汇总；所有调用均未返回用量时为 null。
+ */
+function summarizeUsage(calls, env) {
+  let prices = env.PRICES || {};
+  if (typeof prices === "string") {
+    try {
+      prices = JSON.parse(prices);
+    } catch {
+      prices = {};
     }
   }
+
+  const reported = calls.filter(c => c.usage && Object.keys(c.usage).length);
+  if (!reported.length) return null;
+
+  const summary = { prompt: 0, completion: 0, reasoning: 0, total: 0, calls: [] };
+  let priced = true;
+  let cost = 0;
+  let currency;
+  for (const { purpose, model, usage } of reported) {
+    const item = {
+      purpose,
+      model,
+      prompt: usage.prompt || 0,
+      completion: usage.completion || 0,
+      reasoning: usage.reasoning || 0
+    };
+    const price = prices[model];
+    if (price) {
+      item.cost = (item.prompt * (price.prompt || 0) + item.completion * (price.completion || 0)) / 1e6;
+      cost += item.cost;
+      currency ??= price.currency || "USD";
+    } else {
+      priced = false;
+    }
+    summary.prompt += item.prompt;
+    summary.completion += item.completion;
+    summary.reasoning += item.reasoning;
+    summary.calls.push(item);
+  }
+  summary.total = summary.prompt + summary.completion;
+  if (priced) {
+    summary.cost = Number(cost.toFixed(6));
+    summary.currency = currency;
+  }
+  return summary;
 }
 
-const encoder = new TextEncoder();
+/** 构造 JSON 响应 */
+const jsonResponse = (data, status = 200, headers = {}) =>
+  new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      ...headers
+    }
+  });
+
+/**
+ * 构造结构化错误响应 { code, message, field? }。
+ * err 可为 HttpError / ValidationError，或任意带 code、status 的对象。
+ */
+const errorResponse = (err, headers) =>
+  jsonResponse(
+    { code: err.code || "INTERNAL_ERROR", message: err.message || String(err), field: err.field },
+    err.status || 500,
+    headers
+  );
 
 // ********************************************************
 // *                        AI                            *
 // ********************************************************
 
-/** 标题生成 */
-async function generateTitle({ question, apiKey, endpoint, model, writer }) {
-  const resp = await fetch(endpoint, {
-    method: "POST",
-    headers: buildSafeHeaders({
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-      "HTTP-Referer": "https://xl.oxiz.xyz",
-      "X-Title": "OraCloud"
-    }),
-    body: JSON.stringify({
+/**
+ * 为上游响应体加上大小与时长上限（自发起请求起计时），超出时以 HttpError 中断读取并取消上游请求。
+ * 上限为 0 时不限制。
+ */
+function limitResponseBody(body, { maxBytes, maxMs }, startedAt, signal) {
+  let received = 0;
+  let timer;
+  const limiter = new TransformStream({
+    start(controller) {
+      if (maxMs <= 0) return;
+      timer = setTimeout(
+        () =>
+          controller.error(
+            new HttpError(504, `AI 响应超过时长上限（${maxMs}ms）`, { code: "UPSTREAM_TIMEOUT" })
+          ),
+        Math.max(0, startedAt + maxMs - Date.now())
+      );
+      signal?.addEventListener("abort", () => clearTimeout(timer), { once: true });
+    },
+    transform(chunk, controller) {
+      received += chunk.byteLength;
+      if (maxBytes > 0 && received > maxBytes) {
+        clearTimeout(timer);
+        controller.error(
+          new HttpError(502, `AI 响应超过大小上限（${maxBytes} 字节）`, { code: "RESPONSE_TOO_LARGE" })
+        );
+        return;
+      }
+      controller.enqueue(chunk);
+    },
+    flush() {
+      clearTimeout(timer);
+    }
+  });
+  return body.pipeThrough(limiter);
+}
+
+/**
+ * 以流式方式调用模型，返回归一化的 { reasoning, content } 增量迭代器。
+ * 请求翻译与响应解析交给 lib/providers.js 中的适配器完成，内联 <think> 标签同时拆分为推理内容。
+ * 网络失败或上游非 2xx 时抛出 HttpError；响应体受 limits（见 responseLimits）约束。
+ */
+async function streamModel({
+  adapter,
+  endpoint,
+  apiKey,
+  model,
+  messages,
+  maxTokens,
+  reasoning,
+  extra,
+  signal,
+  limits
+}) {
+  const startedAt = Date.now();
+  const { url, headers, body } = adapter.buildRequest({
+    endpoint,
+    apiKey,
+    model,
+    messages,
+    maxTokens,
+    reasoning,
+    extra
+  });
+
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: "POST",
+      headers: buildSafeHeaders(headers),
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    throw new HttpError(502, `AI 服务不可达：${err.message || err}`, {
+      retryable: true,
+      code: "UPSTREAM_UNREACHABLE"
+    });
+  }
+
+  const responseBody = resp.body && limitResponseBody(resp.body, limits, startedAt, signal);
+  if (!resp.ok || !responseBody) {
+    // 上游限流原样透传，其余一律视为网关错误
+    const status = resp.status === 429 ? 429 : 502;
+    const retryable = resp.status === 429 || resp.status >= 500;
+    const detail = responseBody
+      ? await new Response(responseBody).text().catch(err => err.message)
+      : resp.statusText;
+    throw new HttpError(status, `AI 响应错误：${detail}`, { retryable });
+  }
+  return splitThinkTags(adapter.parse(responseBody));
+}
+
+/**
+ * 调用模型并等待首个非空增量；在 timeoutMs 内未收到则中止请求并抛出可重试的 504。
+ * 返回的迭代器会先补发已读取的增量，再继续读取剩余流。
+ */
+async function streamUntilFirstToken(options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  // 客户端取消时一并中止上游请求；首个 token 之后仍需响应，因此监听不随计时器解除
+  const { signal } = options;
+  signal?.addEventListener("abort", () => controller.abort(), { once: true });
+  try {
+    throwIfCancelled(signal);
+    const deltas = await streamModel({ ...options, signal: controller.signal });
+    const iterator = deltas[Symbol.asyncIterator]();
+    const buffered = [];
+    while (true) {
+      const { value, done } = await iterator.next();
+      if (done) break;
+      buffered.push(value);
+      if (value.reasoning || value.content) break;
+    }
+    return (async function* () {
+      yield* buffered;
+      yield* { [Symbol.asyncIterator]: () => iterator };
+    })();
+  } catch (err) {
+    throwIfCancelled(signal);
+    if (controller.signal.aborted) {
+      throw new HttpError(504, `AI 首个 token 超时（${timeoutMs}ms）`, { retryable: true });
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 依次尝试候选模型：可重试的错误按指数退避重试 RETRY_ATTEMPTS 次，
+ * 不可重试的错误（如 400/401/404）直接切换到下一个候选。
+ * 首个 token 到达后即锁定该候选，之后的错误不再回退。
+ * @return {Promise<{candidate: object, deltas: AsyncIterable, errors: Error[]}>}
+ */
+async function streamWithFallback(candidates, request, env, log) {
+  const retries = envNumber(env.RETRY_ATTEMPTS, 2);
+  const timeoutMs = envNumber(env.FIRST_TOKEN_TIMEOUT_MS, 30000);
+  const errors = [];
+
+  for (const candidate of candidates) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) await sleep(500 * 2 ** (attempt - 1));
+      throwIfCancelled(request.signal);
+      try {
+        const deltas = await streamUntilFirstToken({ ...request, ...candidate }, timeoutMs);
+        return { candidate, deltas, errors };
+      } catch (err) {
+        if (err.status === 499) throw err;
+        errors.push(err);
+        log.warn("model_attempt_failed", { model: candidate.model, attempt: attempt + 1, error: err });
+        if (!err.retryable) break;
+      }
+    }
+  }
+  throw errors.at(-1);
+}
+
+/** 模型列表缓存（isolate 内存）：键为接口地址与 Key 的摘要，值为 { models, fetchedAt, expiresAt } */
+const modelListCache = new Map();
+/** 模型列表缓存的最大条目数，超出时淘汰最早写入的条目 */
+const MODEL_LIST_CACHE_LIMIT = 100;
+/** 请求模型列表的超时（毫秒） */
+const MODEL_LIST_TIMEOUT_MS = 10000;
+
+/**
+ * 获取接口的模型列表（翻译与解析见 lib/providers.js 的 buildModelsRequest / parseModels），
+ * 按接口地址与 Key 缓存 MODELS_CACHE_TTL 秒（默认 300，为 0 时不缓存）。
+ * 网络失败、超时或上游非 2xx 时抛出 HttpError。
+ * @return {Promise<{models: object[], fetchedAt: number, cached: boolean}>} models 按 id 排序。
+ */
+async function listModels({ adapter, endpoint, apiKey }, env) {
+  const ttlMs = envNumber(env.MODELS_CACHE_TTL, 300) * 1000;
+  // 缓存键不保留 Key 原文
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(JSON.stringify([endpoint, apiKey || ""]))
+  );
+  const cacheKey = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+  const hit = modelListCache.get(cacheKey);
+  if (hit && hit.expiresAt > Date.now()) return { models: hit.models, fetchedAt: hit.fetchedAt, cached: true };
+
+  const startedAt = Date.now();
+  const { url, headers } = adapter.buildModelsRequest({ endpoint, apiKey });
+  // 超时可能发生在建立连接或读取响应体时，两处按同样的方式映射为 HttpError
+  const toHttpError = err => {
+    if (err instanceof HttpError) return err;
+    if (err.name === "TimeoutError") return new HttpError(504, "获取模型列表超时");
+    return new HttpError(502, `AI 服务不可达：${err.message || err}`, { code: "UPSTREAM_UNREACHABLE" });
+  };
+  let resp;
+  let text = "";
+  try {
+    resp = await fetch(url, {
+      headers: buildSafeHeaders(headers),
+      signal: AbortSignal.timeout(MODEL_LIST_TIMEOUT_MS)
+    });
+    const limits = { maxBytes: responseLimits(env).maxBytes, maxMs: MODEL_LIST_TIMEOUT_MS };
+    const body = resp.body && limitResponseBody(resp.body, limits, startedAt);
+    if (body) text = await new Response(body).text();
+  } catch (err) {
+    throw toHttpError(err);
+  }
+  if (!resp.ok) {
+    throw new HttpError(resp.status === 429 ? 429 : 502, `获取模型列表失败：${text || resp.statusText}`);
+  }
+  let models;
+  try {
+    models = adapter
+      .parseModels(JSON.parse(text))
+      .filter(m => m.id)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  } catch {
+    throw new HttpError(502, "无法识别接口返回的模型列表");
+  }
+
+  const fetchedAt = Date.now();
+  if (ttlMs > 0) {
+    modelListCache.delete(cacheKey);
+    modelListCache.set(cacheKey, { models, fetchedAt, expiresAt: fetchedAt + ttlMs });
+    if (modelListCache.size > MODEL_LIST_CACHE_LIMIT) modelListCache.delete(modelListCache.keys().next().value);
+  }
+  return { models, fetchedAt, cached: false };
+}
+
+/**
+ * 清理模型生成的标题：去掉「占问:」等前缀，标点与空白统一折叠为单个空格，过长时截断。
+ * 前端 ui.js 中的 sanitizeTitle 与此保持同一规则。
+ */
+function sanitizeTitle(text) {
+  return String(text || "")
+    .replace(/^\s*(占问|标题)\s*[:：]\s*/, "")
+    .replace(/[\p{P}\p{S}\s]+/gu, " ")
+    .trim()
+    .slice(0, 20);
+}
+
+/**
+ * 标题生成。与解卦并行进行，收齐后清理并一次性推送 title 事件。
+ * 任何失败都只记录日志，不影响主流程。
+ * @return {Promise<object>} 本次调用的用量，失败时为空对象。
+ */
+async function generateTitle({ question, apiKey, endpoint, model, adapter, emit, signal, limits, log }) {
+  const usage = {};
+  let title = "";
+  try {
+    const deltas = await streamModel({
+      adapter,
+      endpoint,
+      apiKey,
       model,
+      signal,
+      limits,
       messages: [
         {
           role: "user",
-          content: `用简单几个字总结用户占卜的问题，总结占卜标题，显示在软件页面\n你只要输出标题，不包含任何其他内容，以及句号，内容为占问: XXX \n用户占卜的问题是：${question}`
+          content: `用简单几个字总结用户占卜的问题，作为占卜标题显示在软件页面。\n只输出标题本身，不加前缀、引号或句号。\n用户占卜的问题是：${question}`
         }
       ],
-      max_tokens: 50,
-      stream: true
-    })
-  });
-
-  if (!resp.ok || !resp.body) {
-    console.error("Title generation failed:", await resp.text());
-    return;
+      maxTokens: 50,
+      reasoning: false
+    });
+    for await (const delta of deltas) {
+      if (delta.usage) Object.assign(usage, delta.usage);
+      if (delta.content) title += delta.content;
+    }
+  } catch (err) {
+    // 随解卦一并取消属预期情况，无需记录
+    if (!signal?.aborted) log.warn("title_failed", { model, error: err });
+    return usage;
   }
 
-  for await (const line of iterateSSELines(resp.body)) {
-    if (line === "[DONE]") continue;
-    let payload;
-    try {
-      payload = JSON.parse(line);
-    } catch {
-      continue;
-    }
-    const text = payload.choices?.[0]?.delta?.content;
-    if (text) {
-      await writer.write(
-        encoder.encode(`event: title\ndata: ${text.replace(/\n/g, "\\n")}\n\n`)
-      );
+  title = sanitizeTitle(title);
+  if (title) await emit("title", title);
+  return usage;
+}
+
+/**
+ * 敏感问题预检（规则见 lib/screening.js）：先按关键词判断，未命中且配置了 SCREENING_MODEL 时
+ * 再经服务端 ENDPOINT 调用分类模型。分类模型失败或超时时放行，客户端取消则照常抛出。
+ * 分类模型使用服务端 Key：自带 apiKey 的请求未经 admitServerKey 准入，只做关键词判断（useClassifier 为 false）。
+ * @return {Promise<{category: string|null, source: string, keyword?: string, error?: string, usage: object}>}
+ *         category 为命中的类别；source 为判定依据（keyword / classifier / classifier_failed），
+ *         命中关键词时附 keyword，分类模型失败时附 error；usage 为分类模型用量。
+ */
+async function screenQuestion(question, env, { signal, log, useClassifier }) {
+  const matched = screenByKeywords(question, env, log);
+  if (matched) return { category: matched.category, source: "keyword", keyword: matched.keyword, usage: {} };
+
+  const usage = {};
+  if (!useClassifier || !env.SCREENING_MODEL || !env.API_KEY) return { category: null, source: "keyword", usage };
+
+  const timeoutMs = envNumber(env.SCREENING_TIMEOUT_MS, 5000);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  signal?.addEventListener("abort", () => controller.abort(), { once: true });
+  let output = "";
+  try {
+    const { adapter } = resolveProvider(env.PROVIDER, env.ENDPOINT);
+    const deltas = await streamModel({
+      adapter,
+      endpoint: env.ENDPOINT,
+      apiKey: env.API_KEY,
+      model: env.SCREENING_MODEL,
+      messages: buildClassifierMessages(question),
+      maxTokens: 16,
+      reasoning: false,
+      signal: controller.signal,
+      limits: responseLimits(env)
+    });
+    for await (const delta of deltas) {
+      if (delta.usage) Object.assign(usage, delta.usage);
+      if (delta.content) output += delta.content;
     }
+  } catch (err) {
+    throwIfCancelled(signal);
+    const error = controller.signal.aborted ? `timeout ${timeoutMs}ms` : err.message;
+    return { category: null, source: "classifier_failed", error, usage };
+  } finally {
+    clearTimeout(timer);
   }
+  return { category: parseClassifierOutput(output), source: "classifier", usage };
 }
 
 // ********************************************************
 // *                    占卜核心逻辑                      *
 // ********************************************************
 
-async function streamDivination(params, env) {
+/** 汇总日志中记录的用量字段 */
+const usageLogFields = ({ prompt, completion, reasoning, total, cost, currency }) => ({
+  prompt,
+  completion,
+  reasoning,
+  total,
+  cost,
+  currency
+});
+
+/** 粗略估算文本的 token 数：汉字约 1 个 token，其余字符约 4 个折合 1 个 token */
+function estimateTokens(text) {
+  const cjk = (text.match(/[\u3400-\u9fff\uf900-\ufaff]/g) || []).length;
+  return cjk + (text.length - cjk) / 4;
+}
+
+/**
+ * 执行一次占卜，结束后（含失败与取消）输出一条 divination 汇总日志：
+ * 首个 token 耗时 ttftMs、总耗时 totalMs、作答模型、结果 outcome
+ * （ok / cached / screened / cancelled / error）、已输出字数与用量。
+ * 失败或取消时 usage 为已返回的部分用量（partial: true），
+ * 并附按已输出文字估算的 estimatedCompletion（上游通常在流结束时才返回用量）。
+ * 不记录问题原文。params.requestId 用于关联同一请求的日志，其余参数与事件见 divine。
+ */
+async function runDivination(params, env, emit) {
+  const log = createLogger(params.requestId);
+  const startedAt = Date.now();
+  const stats = { outcome: "ok", model: null, ttftMs: null, reasoningChars: 0, answerChars: 0 };
+  let streamedTokens = 0;
+  const observe = async (event, data) => {
+    if (event === "reasoning" || event === "answer" || event === "section") {
+      const text = event === "section" ? data.delta : data;
+      stats.ttftMs ??= Date.now() - startedAt;
+      if (event === "reasoning") stats.reasoningChars += text.length;
+      else stats.answerChars += text.length;
+      streamedTokens += estimateTokens(text);
+    } else if (event === "usage") {
+      stats.usage = usageLogFields(data);
+    }
+    await emit(event, data);
+  };
+
+  try {
+    await divine(params, env, observe, { log, stats });
+  } catch (err) {
+    stats.outcome = params.signal?.aborted || err.status === 499 ? "cancelled" : "error";
+    stats.error = err;
+    if (stats.usage || streamedTokens) {
+      stats.usage = { ...stats.usage, partial: true, estimatedCompletion: Math.round(streamedTokens) };
+    }
+    throw err;
+  } finally {
+    const fields = { ...stats, totalMs: Date.now() - startedAt };
+    if (stats.outcome === "error") log.error("divination", fields);
+    else log.info("divination", fields);
+  }
+}
+
+/**
+ * 占卜主流程：敏感问题预检 → 起卦 → AI 解卦（同时生成标题）→ 用量统计。
+ * 预检命中时只推送 notice 事件（固定提示与求助资源），不再起卦与解卦。
+ * 不关心输出形式，所有结果均通过 emit(event, data) 回调推送，
+ * 由 SSE 与 JSON 两种模式分别消费。
+ * stats 供 runDivination 的汇总日志使用，在此记录作答模型与结果；解卦中途失败时记录已返回的部分用量。
+ * 失败时抛出 HttpError，status 为建议返回给客户端的 HTTP 状态码。
+ */
+async function divine(params, env, emit, { log, stats }) {
   const {
+    method,
     numbers,
+    derivation,
     question,
     showReasoning,
+    format,
+    noCache,
+    cacheTtl,
     apiKey,
     model,
     titleModel,
     reasoningModel,
     endpoint,
+    provider,
+    fallbacks,
     openrouterSort,
     hexagram,
     fullBazi,
-    currentDateTime
+    currentDateTime,
+    timeZone,
+    longitude,
+    requestId,
+    signal
   } = params;
 
-  const { readable, writable } = new TransformStream();
-  const writer = writable.getWriter();
+  // ---------- 参数整理 ----------
+  const usedEndpoint = endpoint?.trim() || env.ENDPOINT;
+  // 环境变量 PROVIDER 仅作用于服务端默认 ENDPOINT，用户自带的 endpoint 按其地址推断
+  const { name: providerName, adapter } = resolveProvider(
+    provider || (endpoint?.trim() ? undefined : env.PROVIDER),
+    usedEndpoint
+  );
 
-  (async () => {
-    try {
-      // ---------- 参数整理 ----------
-      const usedApiKey = apiKey?.trim() || env.API_KEY;
-      if (!usedApiKey) throw new Error("API Key 未配置");
-
-      const usedEndpoint = endpoint?.trim() || env.ENDPOINT;
-      const usedModel = model?.trim() || env.MODEL;
-      const usedTitleModel = titleModel?.trim() || env.TITLE_MODEL || usedModel;
-      const usedReasoningModel = showReasoning
-        ? reasoningModel?.trim() || env.REASONING_MODEL || usedModel
-        : usedModel;
-
-      const h = hexagram || generateHexagram(numbers);
-      const bz = fullBazi || getFullBazi(new Date());
-      const dt = currentDateTime || new Date().toLocaleString("zh-CN", { hour12: false });
-
-      await writer.write(
-        encoder.encode(`event: meta\ndata: ${JSON.stringify({ question, hexagram: h, time: bz })}\n\n`)
-      );
+  const usedApiKey = apiKey?.trim() || env.API_KEY;
+  // 本地 Ollama 无需 Key
+  if (!usedApiKey && providerName !== "ollama") throw new HttpError(500, "API Key 未配置", { code: "SERVER_KEY_MISSING" });
 
-      // ---------- AI 主逻辑 ----------
-      const messages = [];
-      if (env.SYSTEM_PROMPT) messages.push({ role: "system", content: env.SYSTEM_PROMPT });
-      messages.push({
-        role: "user",
-        content: `所问之事：${question}\n所得之卦：${h}\n所占之时：${bz}${dt ? `\n${dt}` : ""}`
-      });
+  const usedModel = model?.trim() || env.MODEL;
+  const usedTitleModel = titleModel?.trim() || env.TITLE_MODEL || usedModel;
+  const usedReasoningModel = showReasoning
+    ? reasoningModel?.trim() || env.REASONING_MODEL || usedModel
+    : usedModel;
 
-      const body = {
+  // ---------- 敏感问题预检 ----------
+  let screening = { usage: {} };
+  if (isScreeningEnabled(env)) {
+    screening = await screenQuestion(question, env, { signal, log, useClassifier: !apiKey?.trim() });
+    // 只记录判定结果与依据，不记录问题原文
+    const { category, source, keyword, error } = screening;
+    stats.screening = { category, source, keyword, error };
+    if (screening.category) {
+      stats.outcome = "screened";
+      await emit("notice", buildNotice(screening.category));
+      const usage = summarizeUsage([{ purpose: "screening", model: env.SCREENING_MODEL, usage: screening.usage }], env);
+      if (usage) await emit("usage", usage);
+      return;
+    }
+  }
+
+  const h = hexagram || generateHexagram(numbers);
+  const now = new Date();
+  const timeOptions = { timeZone, longitude };
+  const timeBasis = getTimeBasis(now, timeOptions);
+  const bz = fullBazi || getFullBazi(now, timeOptions);
+  const calendar = getCalendarContext(now, timeOptions);
+  const formatTime = options =>
+    now.toLocaleString("zh-CN", { hour12: false, timeZone: timeZone || "Asia/Shanghai", ...options });
+  const dt = currentDateTime || formatTime();
+
+  // 客户端自带的卦象文本同样尝试还原为结构化三宫，无法识别时不附带详解
+  const palaces = parsePalaces(h);
+  const relations = palaces ? analyzeRelations(palaces) : null;
+
+  // 结构化模式：在系统提示词后追加 JSON 输出要求，流式解析为 section 事件
+  const structured = format === "structured";
+  const systemPrompt = [env.SYSTEM_PROMPT, structured && STRUCTURED_PROMPT].filter(Boolean).join("\n\n");
+
+  const buildMessages = time => {
+    const list = [];
+    if (systemPrompt) list.push({ role: "system", content: systemPrompt });
+    list.push({
+      role: "user",
+      content:
+        `所问之事：${question}\n所得之卦：${h}\n所占之时：${bz}${time ? `\n${time}` : ""}\n时间基准：${timeBasis.text}` +
+        `\n历法信息：\n${describeCalendar(calendar)}` +
+        (palaces ? `\n三宫详解：\n${describePalaces(palaces)}` : "")
+    });
+    return list;
+  };
+  const messages = buildMessages(dt);
+
+  // ---------- 结果缓存（见 lib/cache.js） ----------
+  // 缓存键覆盖完整的消息，其中时间只取到小时，同一小时内相同的占卜才能命中；
+  // noCache 跳过读取、仍写入新结果；cacheTtl 为 0 时本次结果不写入。
+  // 自带 Key / 接口地址，或自行指定卦象、四柱、时间的请求既不读取也不写入共享缓存：
+  // 前者未经 admitServerKey 准入，不应取得以服务端 Key 生成的结果；后者的结果不应被其他用户命中
+  const shareable = !apiKey?.trim() && !endpoint?.trim() && !hexagram && !fullBazi && !currentDateTime;
+  const cacheKey = isCacheEnabled(env) && shareable
+    ? await buildCacheKey({
+        messages: buildMessages(formatTime({ year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit" })),
         model: showReasoning ? usedReasoningModel : usedModel,
-        messages,
-        max_tokens: 4096,
-        stream: true
-      };
-      if (usedEndpoint.includes("openrouter") && openrouterSort) {
-        body.provider = { sort: openrouterSort };
-      }
+        endpoint: usedEndpoint,
+        showReasoning
+      })
+    : null;
+  let cached = null;
+  if (cacheKey && !noCache) {
+    // 读取失败视为未命中
+    cached = await readCache(env, cacheKey).catch(err => {
+      log.warn("cache_read_failed", { error: err });
+      return null;
+    });
+  }
+  stats.model = showReasoning ? usedReasoningModel : usedModel;
 
-      const aiResp = await fetch(usedEndpoint, {
-        method: "POST",
-        headers: buildSafeHeaders({
-          Authorization: `Bearer ${usedApiKey}`,
-          "Content-Type": "application/json",
-          "HTTP-Referer": "https://xl.oxiz.xyz",
-          "X-Title": "OraCloud"
-        }),
-        body: JSON.stringify(body)
-      });
+  await emit("meta", {
+    question,
+    method,
+    numbers,
+    derivation,
+    model: showReasoning ? usedReasoningModel : usedModel,
+    hexagram: h,
+    time: bz,
+    timeBasis,
+    calendar,
+    palaces,
+    relations,
+    cached: Boolean(cached),
+    requestId
+  });
 
-      if (!aiResp.ok || !aiResp.body) {
-        throw new Error(`AI 响应错误：${await aiResp.text()}`);
+  if (cached) {
+    // 命中时原样重放上次的解卦事件，不调用模型，也不推送用量
+    stats.outcome = "cached";
+    for (const { event, data } of cached) await emit(event, data);
+    return;
+  }
+  // 记录推送的事件，成功结束后写入缓存
+  const ttl = cacheKey ? getCacheTtl(env, cacheTtl) : 0;
+  const recorded = [];
+  const send = ttl
+    ? async (event, data) => {
+        recorded.push({ event, data });
+        await emit(event, data);
       }
+    : emit;
 
-      for await (const line of iterateSSELines(aiResp.body)) {
-        if (line === "[DONE]") continue;
-        let payload;
-        try {
-          payload = JSON.parse(line);
-        } catch {
-          continue;
-        }
-        const delta = payload.choices?.[0]?.delta || {};
-        if (delta.reasoning) {
-          await writer.write(
-            encoder.encode(
-              `event: reasoning\ndata: ${delta.reasoning.replace(/\n/g, "\\n")}\n\n`
-            )
-          );
-        }
-        if (delta.content) {
-          await writer.write(
-            encoder.encode(`event: answer\ndata: ${delta.content.replace(/\n/g, "\\n")}\n\n`)
-          );
-        }
-      }
+  // ---------- AI 主逻辑 ----------
+  // 候选列表：主模型 + 备用模型。请求自带的列表优先；使用服务端 Key 时才追加环境变量中的列表
+  const fallbackList = fallbacks ?? (apiKey?.trim() ? [] : parseFallbacks(env.FALLBACKS));
+  const toCandidate = (candidateModel, candidateEndpoint, candidateProvider) => {
+    const resolved = resolveProvider(candidateProvider, candidateEndpoint);
+    const extra = {};
+    if (resolved.name === "openai" && candidateEndpoint.includes("openrouter") && openrouterSort) {
+      extra.provider = { sort: openrouterSort };
+    }
+    return {
+      model: candidateModel,
+      endpoint: candidateEndpoint,
+      providerName: resolved.name,
+      adapter: resolved.adapter,
+      extra
+    };
+  };
+  const primary = toCandidate(showReasoning ? usedReasoningModel : usedModel, usedEndpoint, providerName);
+  let answerModel = primary.model;
+  const candidates = [
+    primary,
+    ...fallbackList.map(f =>
+      // 未指定 endpoint 的备用项沿用主模型的 endpoint 与服务商
+      f.endpoint
+        ? toCandidate(f.model, f.endpoint, f.provider)
+        : toCandidate(f.model, usedEndpoint, f.provider || providerName)
+    )
+  ];
 
-      // ---------- 生成标题 ----------
-      await generateTitle({
-        question,
+  // ---------- 生成标题（与解卦并行） ----------
+  // 解卦失败或客户端取消时一并中止标题生成
+  const titleController = new AbortController();
+  signal?.addEventListener("abort", () => titleController.abort(), { once: true });
+  const titlePromise = generateTitle({
+    question,
+    apiKey: usedApiKey,
+    endpoint: usedEndpoint,
+    model: usedTitleModel,
+    adapter,
+    emit: send,
+    signal: titleController.signal,
+    limits: responseLimits(env),
+    log
+  });
+
+  const answerUsage = {};
+  const sections = structured ? new SectionStream() : null;
+  let titleUsage = {};
+  const usageCalls = () => [
+    { purpose: "screening", model: env.SCREENING_MODEL, usage: screening.usage },
+    { purpose: "answer", model: answerModel, usage: answerUsage },
+    { purpose: "title", model: usedTitleModel, usage: titleUsage }
+  ];
+  let failed = false;
+  try {
+    const { candidate, deltas, errors } = await streamWithFallback(
+      candidates,
+      {
         apiKey: usedApiKey,
-        endpoint: usedEndpoint,
-        model: usedTitleModel,
-        writer
+        messages,
+        maxTokens: 4096,
+        reasoning: showReasoning,
+        signal,
+        limits: responseLimits(env)
+      },
+      env,
+      log
+    );
+    answerModel = candidate.model;
+    stats.model = answerModel;
+    stats.attempts = errors.length + 1;
+    if (candidate !== primary) {
+      await send("fallback", {
+        model: candidate.model,
+        provider: candidate.providerName,
+        reason: errors.at(-1)?.message || ""
       });
-    } catch (err) {
-      await writer.write(
-        encoder.encode(`event: error\ndata: ${String(err).replace(/\n/g, " ")}\n\n`)
-      );
-    } finally {
-      await writer.close();
     }
-  })();
 
-  return new Response(readable, {
-    headers: {
-      "Content-Type": "text/event-stream; charset=utf-8",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization, Accept"
+    for await (const delta of deltas) {
+      if (delta.usage) Object.assign(answerUsage, delta.usage);
+      if (delta.reasoning) await send("reasoning", delta.reasoning);
+      if (delta.content && sections) {
+        for (const { event, data } of sections.push(delta.content)) await send(event, data);
+      } else if (delta.content) {
+        await send("answer", delta.content);
+      }
+    }
+  } catch (err) {
+    titleController.abort();
+    failed = true;
+    throw err;
+  } finally {
+    // 保证标题事件不会晚于本函数返回，避免写入已结束的输出
+    titleUsage = await titlePromise;
+    if (failed) {
+      const partial = summarizeUsage(usageCalls(), env);
+      if (partial) stats.usage = usageLogFields(partial);
+    }
+  }
+
+  // ---------- 用量统计 ----------
+  const usage = summarizeUsage(usageCalls(), env);
+  if (usage) await emit("usage", usage);
+  if (ttl) {
+    // 写入失败不影响已推送的结果
+    await writeCache(env, cacheKey, recorded, ttl).catch(err => log.warn("cache_write_failed", { error: err }));
+  }
+}
+
+/**
+ * 在 SSE 会话中执行占卜，结束后推送 done 事件。
+ * controller 被中止（客户端取消）时不再推送错误（已输出的部分由 runDivination 的汇总日志记录），
+ * 否则将错误推送为 error 事件。
+ */
+async function runInSession(session, params, env, controller) {
+  const emit = async (event, data) => session.push(event, data);
+
+  try {
+    await runDivination({ ...params, signal: controller.signal }, env, emit);
+  } catch (err) {
+    if (!controller.signal.aborted) {
+      session.push("error", { code: err.code || "INTERNAL_ERROR", message: err.message || String(err) });
     }
+  } finally {
+    session.finish();
+  }
+}
+
+/**
+ * SSE 模式（未绑定 DIVINATION_STREAM 时）：在当前请求内边生成边推送，不支持续传。
+ * 客户端断开（request.signal 触发或连接关闭）时中止上游模型请求，
+ * 跳过标题生成，并记录已输出的部分用量。
+ */
+function streamDivination(params, env) {
+  const controller = new AbortController();
+  params.signal?.addEventListener("abort", () => controller.abort(), { once: true });
+
+  const session = new SSESession(crypto.randomUUID(), {
+    heartbeatMs: envNumber(env.SSE_HEARTBEAT_MS, 15000),
+    onIdle: () => controller.abort()
+  });
+  const body = session.attach();
+  runInSession(session, params, env, controller);
+  return new Response(body, { headers: SSE_HEADERS });
+}
+
+// 可断线续传的占卜会话（Durable Object，见 lib/stream.js），需从入口模块导出
+export const DivinationStream = createDivinationStream(runInSession);
+
+/** 在 Durable Object 中启动可续传的 SSE 占卜 */
+function startResumableStream(params, env) {
+  const streamId = crypto.randomUUID();
+  const stub = env.DIVINATION_STREAM.get(env.DIVINATION_STREAM.idFromName(streamId));
+  // AbortSignal 无法序列化；断开检测由 Durable Object 内的会话负责
+  const { signal, ...rest } = params;
+  return stub.fetch("https://divination-stream/", {
+    method: "POST",
+    body: JSON.stringify({ streamId, params: rest })
   });
 }
 
+/**
+ * 断线续传：GET 携带 Last-Event-ID 补发错过的事件，DELETE 取消仍在进行的生成。
+ */
+async function handleStreamResume(request, env) {
+  const last = parseLastEventId(request.headers.get("Last-Event-ID"));
+  if (!last) {
+    return errorResponse(
+      new ValidationError("INVALID_VALUE", "参数错误：需携带有效的 Last-Event-ID", "Last-Event-ID")
+    );
+  }
+  if (!env.DIVINATION_STREAM) {
+    return errorResponse({ status: 404, code: "STREAM_NOT_FOUND", message: "本站未启用断线续传" });
+  }
+  const stub = env.DIVINATION_STREAM.get(env.DIVINATION_STREAM.idFromName(last.streamId));
+  return stub.fetch(`https://divination-stream/?after=${last.seq}`, { method: request.method });
+}
+
+/** JSON 模式：跑完整个流程后一次性返回 */
+async function jsonDivination(params, env) {
+  const result = {
+    question: params.question,
+    hexagram: "",
+    time: "",
+    reasoning: "",
+    answer: "",
+    title: "",
+    model: "",
+    sections: null,
+    notice: null,
+    cached: false,
+    usage: null,
+    requestId: params.requestId
+  };
+
+  const emit = async (event, data) => {
+    if (event === "section") {
+      applySection((result.sections ??= {}), data);
+    } else if (event === "notice") {
+      result.notice = data;
+    } else if (event === "meta") {
+      result.hexagram = data.hexagram;
+      result.time = data.time;
+      result.model = data.model;
+      result.cached = data.cached;
+    } else if (event === "fallback") {
+      result.model = data.model;
+    } else if (event === "usage") {
+      result.usage = data;
+    } else if (event in result) {
+      result[event] += data;
+    }
+  };
+
+  try {
+    await runDivination(params, env, emit);
+  } catch (err) {
+    return errorResponse(err);
+  }
+  return jsonResponse(result);
+}
+
 // ********************************************************
 // *                     API 路由处理                     *
 // ********************************************************
 
-async function handleDivinationAPI(request, env) {
-  if (request.method === "OPTIONS") {
-    return new Response(null, {
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization, Accept",
-        "Access-Control-Max-Age": "86400"
-      }
+/**
+ * 使用服务端共享 Key 前的访问检查：严格 CORS 模式下拒绝跨域调用，启用邀请码时需有效令牌。
+ * @return {Promise<string|undefined>} 令牌主体（未启用邀请码时为 undefined），用于计入配额。
+ * @throws {HttpError} 403 CROSS_ORIGIN_KEY_FORBIDDEN 或 401 AUTH_REQUIRED。
+ */
+async function authorizeServerKey(request, env) {
+  if (isStrictCors(env) && isCrossOrigin(request)) {
+    throw new HttpError(403, "跨域调用须填写自己的 API Key，不能使用本站的共享 Key。", {
+      code: "CROSS_ORIGIN_KEY_FORBIDDEN"
+    });
+  }
+  if (!isAuthEnabled(env)) return undefined;
+  const access = await verifyAccessToken(request, env);
+  if (!access) {
+    throw new HttpError(401, "本站需邀请码访问：请在设置中输入邀请码，或填写自己的 API Key。", {
+      code: "AUTH_REQUIRED"
     });
   }
+  return access.sub;
+}
+
+/**
+ * 使用服务端共享 Key 的请求准入：先经 authorizeServerKey 检查，再按令牌或 IP 计入配额。
+ * 限流服务异常时放行，避免影响正常占卜。
+ * @throws {HttpError} 访问检查失败，或超出配额（429，retryAfter 为建议等待的秒数）。
+ */
+async function admitServerKey(request, env, log) {
+  const subject = await authorizeServerKey(request, env);
+  let quota = { allowed: true };
+  try {
+    quota = await consumeQuota(env, getClientKey(request, subject));
+  } catch (err) {
+    log.error("rate_limiter_failed", { error: err });
+  }
+  if (!quota.allowed) {
+    const message =
+      quota.scope === "day"
+        ? "今日免费额度已用完，请明日再试，或在设置中填写自己的 API Key。"
+        : `请求过于频繁，请 ${quota.retryAfter} 秒后再试。`;
+    const err = new HttpError(429, message, { code: quota.scope === "day" ? "DAILY_QUOTA_EXCEEDED" : "RATE_LIMITED" });
+    err.retryAfter = quota.retryAfter;
+    throw err;
+  }
+}
+
+/** 配额错误附带的 Retry-After 响应头 */
+const retryAfterHeaders = err => (err.retryAfter ? { "Retry-After": String(err.retryAfter) } : undefined);
 
+async function handleDivinationAPI(request, env, log) {
+  if (request.method === "GET" || request.method === "DELETE") {
+    return handleStreamResume(request, env);
+  }
   if (request.method !== "POST") {
-    return new Response("Method Not Allowed", { status: 405 });
+    return errorResponse({ status: 405, code: "METHOD_NOT_ALLOWED", message: "Method Not Allowed" });
   }
 
-  // 仅处理 SSE
-  if (request.headers.get("Accept") === "text/event-stream") {
-    let body;
+  // SSE 流式或一次性 JSON
+  const accept = request.headers.get("Accept") || "";
+  const wantsStream = accept === "text/event-stream";
+  if (!wantsStream && !accept.includes("application/json")) {
+    return errorResponse({
+      status: 400,
+      code: "UNSUPPORTED_ACCEPT",
+      message: "不支持的请求类型。本接口仅接受 'Accept: text/event-stream' 或 'Accept: application/json' 的请求。"
+    });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse(new ValidationError("INVALID_BODY", "请求体需为 JSON"));
+  }
+  try {
+    validateBody(body);
+  } catch (err) {
+    return errorResponse(err);
+  }
+
+  const {
+    question,
+    method = "numbers",
+    model,
+    titleModel,
+    reasoningModel,
+    endpoint,
+    provider,
+    apiKey,
+    show_reasoning = true,
+    format = "markdown",
+    noCache = false,
+    cacheTtl,
+    openrouterSort,
+    hexagram,
+    fullBazi,
+    currentDateTime,
+    timeZone,
+    longitude
+  } = body;
+
+  try {
+    getTimeBasis(new Date(), { timeZone, longitude });
+  } catch (err) {
+    return errorResponse(new ValidationError("INVALID_VALUE", `参数错误：${err.message}`, "timeZone"));
+  }
+  let cast;
+  try {
+    cast = castNumbers(method, body.numbers, question, new Date(), { timeZone, longitude });
+  } catch (err) {
+    return errorResponse(new ValidationError("TEXT_CAST_FAILED", `参数错误：${err.message}`, "question"));
+  }
+
+  if ((model || titleModel || reasoningModel || endpoint) && !apiKey) {
+    return errorResponse(
+      new ValidationError("API_KEY_REQUIRED", "如指定模型或 API 地址，则必须填写 API Key。", "apiKey")
+    );
+  }
+  if (endpoint?.toLowerCase().includes("openrouter") && openrouterSort && !apiKey) {
+    return errorResponse(
+      new ValidationError("API_KEY_REQUIRED", "使用 OpenRouter 排序功能必须配置 API Key。", "apiKey")
+    );
+  }
+  let fallbacks;
+  if (body.fallbacks !== undefined) {
     try {
-      body = await request.json();
-    } catch {
-      return new Response("请求体需为 JSON", { status: 400 });
+      fallbacks = parseFallbacks(body.fallbacks);
+      fallbacks.forEach(f => f.provider && resolveProvider(f.provider, f.endpoint));
+    } catch (err) {
+      return errorResponse(new ValidationError("INVALID_VALUE", `参数错误：${err.message}`, "fallbacks"));
     }
+    if (fallbacks.length && !apiKey) {
+      return errorResponse(
+        new ValidationError("API_KEY_REQUIRED", "如指定备用模型，则必须填写 API Key。", "apiKey")
+      );
+    }
+  }
+  // 用户自带的接口地址需通过 SSRF 校验；服务端配置的 ENDPOINT 与 FALLBACKS 不受限
+  try {
+    if (endpoint?.trim()) checkEndpoint(endpoint, env);
+    fallbacks?.forEach((f, i) => f.endpoint && checkEndpoint(f.endpoint, env, `fallbacks[${i}].endpoint`));
+  } catch (err) {
+    return errorResponse(err);
+  }
 
-    const { numbers, question } = body || {};
-    if (!Array.isArray(numbers) || numbers.length !== 3 || !question) {
-      return new Response("参数错误：需包含 numbers(3 个) 与 question", { status: 400 });
+  // 使用服务端共享 Key 时：启用访问控制则需有效令牌，并按令牌或 IP 计入配额
+  if (!apiKey?.trim()) {
+    try {
+      await admitServerKey(request, env, log);
+    } catch (err) {
+      return errorResponse(err, retryAfterHeaders(err));
     }
+  }
 
-    const {
-      model,
-      titleModel,
-      reasoningModel,
-      endpoint,
-      apiKey,
-      show_reasoning = true,
-      openrouterSort,
-      hexagram,
-      fullBazi,
-      currentDateTime
-    } = body;
+  const params = {
+    method,
+    numbers: cast.numbers,
+    derivation: cast.derivation,
+    question,
+    showReasoning: show_reasoning,
+    format,
+    noCache,
+    cacheTtl,
+    apiKey,
+    model,
+    titleModel,
+    reasoningModel,
+    endpoint,
+    provider,
+    fallbacks,
+    openrouterSort,
+    hexagram,
+    fullBazi,
+    currentDateTime,
+    timeZone,
+    longitude,
+    requestId: log.requestId,
+    signal: request.signal
+  };
+  if (!wantsStream) return jsonDivination(params, env);
+  return env.DIVINATION_STREAM ? startResumableStream(params, env) : streamDivination(params, env);
+}
 
-    if ((model || titleModel || reasoningModel || endpoint) && !apiKey) {
-      return new Response("如指定模型或 API 地址，则必须填写 API Key。", { status: 400 });
+/**
+ * 模型列表，供设置面板自动补全与校验模型名。
+ * GET  /api/models                                          → 服务端默认接口（使用服务端 Key）
+ * POST /api/models  { "apiKey", "endpoint", "provider" }   → 用户自带的 Key 与接口，规则同占卜请求
+ * → { provider, models: [{ id, name, contextLength, pricing, reasoning }], cached, fetchedAt }
+ * 使用服务端 Key 时同样需通过 authorizeServerKey 检查，但不计入配额。
+ */
+async function handleModelsAPI(request, env, log) {
+  let body = {};
+  if (request.method === "POST") {
+    try {
+      body = await request.json();
+    } catch {
+      return errorResponse(new ValidationError("INVALID_BODY", "请求体需为 JSON"));
     }
-    if (endpoint?.toLowerCase().includes("openrouter") && openrouterSort && !apiKey) {
-      return new Response("使用 OpenRouter 排序功能必须配置 API Key。", { status: 400 });
+    try {
+      validateBody(body, MODELS_SCHEMA);
+    } catch (err) {
+      return errorResponse(err);
     }
+  } else if (request.method !== "GET") {
+    return errorResponse({ status: 405, code: "METHOD_NOT_ALLOWED", message: "Method Not Allowed" });
+  }
 
-    return streamDivination(
-      {
-        numbers,
-        question,
-        showReasoning: show_reasoning,
-        apiKey,
-        model,
-        titleModel,
-        reasoningModel,
-        endpoint,
-        openrouterSort,
-        hexagram,
-        fullBazi,
-        currentDateTime
-      },
-      env
+  const apiKey = body.apiKey?.trim();
+  const endpoint = body.endpoint?.trim();
+  if (endpoint && !apiKey) {
+    return errorResponse(
+      new ValidationError("API_KEY_REQUIRED", "如指定模型或 API 地址，则必须填写 API Key。", "apiKey")
     );
   }
+  try {
+    if (endpoint) checkEndpoint(endpoint, env);
+    if (!apiKey) await authorizeServerKey(request, env);
+  } catch (err) {
+    return errorResponse(err);
+  }
+
+  const usedEndpoint = endpoint || env.ENDPOINT;
+  const { name: providerName, adapter } = resolveProvider(
+    body.provider || (endpoint ? undefined : env.PROVIDER),
+    usedEndpoint
+  );
+  const usedApiKey = apiKey || env.API_KEY;
+  if (!usedApiKey && providerName !== "ollama") {
+    return errorResponse({ status: 500, code: "SERVER_KEY_MISSING", message: "API Key 未配置" });
+  }
+
+  try {
+    const result = await listModels({ adapter, endpoint: usedEndpoint, apiKey: usedApiKey }, env);
+    return jsonResponse({ provider: providerName, ...result }, 200, { "Cache-Control": "private, no-store" });
+  } catch (err) {
+    log.warn("models_failed", { provider: providerName, error: err });
+    return errorResponse(err);
+  }
+}
+
+/** OpenAI 格式的错误响应 { error: { message, type, code, param } } */
+const openAIErrorResponse = (err, headers) => jsonResponse(toOpenAIError(err), err.status || 500, headers);
+
+/**
+ * OpenAI 兼容的对话接口，供只支持 OpenAI API 的客户端与 SDK 占卜（协议转换见 lib/openai.js）。
+ * POST /v1/chat/completions  { "model": "liuren-divination", "messages": [...], "stream": true }
+ * 始终使用服务端 Key：启用邀请码时以 Authorization: Bearer <访问令牌> 鉴权，并计入配额。
+ * 流式响应复用 streamDivination，将 reasoning / answer 事件重新编码为 chat.completion.chunk；
+ * 非流式响应返回 chat.completion。
+ */
+async function handleChatCompletionsAPI(request, env, log) {
+  if (request.method !== "POST") {
+    return openAIErrorResponse({ status: 405, code: "METHOD_NOT_ALLOWED", message: "Method Not Allowed" });
+  }
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return openAIErrorResponse(new ValidationError("INVALID_BODY", "请求体需为 JSON"));
+  }
+  let chat;
+  try {
+    chat = parseChatRequest(body);
+    await admitServerKey(request, env, log);
+  } catch (err) {
+    return openAIErrorResponse(err, retryAfterHeaders(err));
+  }
 
-  return new Response(
-    "不支持的请求类型。本接口仅接受 'Accept: text/event-stream' 的流式请求。",
+  // 消息中未给出起卦数字时按当前时间起卦
+  const method = chat.numbers ? "numbers" : "time";
+  const cast = castNumbers(method, chat.numbers, chat.question);
+  const params = {
+    method,
+    numbers: cast.numbers,
+    derivation: cast.derivation,
+    question: chat.question,
+    showReasoning: chat.showReasoning,
+    format: "markdown",
+    requestId: log.requestId,
+    signal: request.signal
+  };
+  const chunkEncoder = new ChatChunkEncoder({ model: chat.model, includeUsage: chat.includeUsage });
+
+  if (chat.stream) {
+    const response = streamDivination(params, env);
+    return new Response(response.body.pipeThrough(createChunkStream(chunkEncoder)), { headers: SSE_HEADERS });
+  }
+  try {
+    await runDivination(params, env, async (event, data) => chunkEncoder.encode(event, data));
+  } catch (err) {
+    return openAIErrorResponse(err);
+  }
+  return jsonResponse(chunkEncoder.toCompletion());
+}
+
+/**
+ * 健康检查。
+ * GET /api/health → { status: "ok", time, bindings }，bindings 列出各项绑定是否可用。
+ */
+function handleHealthAPI(env) {
+  return jsonResponse(
     {
-      status: 400,
-      headers: {
-        "Content-Type": "text/plain; charset=utf-8",
-        "Access-Control-Allow-Origin": "*"
+      status: "ok",
+      time: new Date().toISOString(),
+      bindings: {
+        assets: Boolean(env.ASSETS),
+        rateLimiter: Boolean(env.RATE_LIMITER),
+        divinationStream: Boolean(env.DIVINATION_STREAM),
+        divinationCache: Boolean(env.DIVINATION_CACHE)
       }
-    }
+    },
+    200,
+    { "Cache-Control": "no-store" }
   );
 }
 
+/**
+ * 公开配置：默认模型、功能开关与限制，供前端展示默认值与调整界面。不包含任何密钥。
+ * GET /api/config → { defaults, features, limits }
+ */
+function handleConfigAPI(env, log) {
+  const model = env.MODEL || "";
+  const perMinute = Number(env.RATE_LIMIT_PER_MINUTE) || 0;
+  const perDay = Number(env.RATE_LIMIT_PER_DAY) || 0;
+  const rateLimited = Boolean(env.RATE_LIMITER) && (perMinute > 0 || perDay > 0);
+  let provider = null;
+  try {
+    provider = env.ENDPOINT ? resolveProvider(env.PROVIDER, env.ENDPOINT).name : null;
+  } catch {
+    // PROVIDER 配置错误时在占卜请求中报错，此处不影响其余配置的展示
+  }
+  let fallbacks = false;
+  try {
+    fallbacks = parseFallbacks(env.FALLBACKS).length > 0;
+  } catch (err) {
+    // FALLBACKS 格式错误时按未配置展示，并记录日志便于排查
+    log.warn("config_fallbacks_invalid", { error: err });
+  }
+  return jsonResponse(
+    {
+      defaults: {
+        model,
+        titleModel: env.TITLE_MODEL || model,
+        reasoningModel: env.REASONING_MODEL || model,
+        endpoint: env.ENDPOINT || "",
+        provider
+      },
+      features: {
+        serverKey: Boolean(env.API_KEY),
+        auth: isAuthEnabled(env),
+        rateLimit: rateLimited ? { perMinute, perDay } : null,
+        fallbacks,
+        resumable: Boolean(env.DIVINATION_STREAM),
+        cache: isCacheEnabled(env),
+        screening: isScreeningEnabled(env),
+        structured: true,
+        corsStrict: isStrictCors(env)
+      },
+      limits: {
+        maxQuestionLength: MAX_QUESTION_LENGTH
+      }
+    },
+    200,
+    { "Cache-Control": "public, max-age=300" }
+  );
+}
+
+/**
+ * 兑换邀请码。
+ * POST /api/auth/redeem  { "code": "..." } → { token, expiresAt }
+ */
+async function handleRedeemAPI(request, env) {
+  if (request.method !== "POST") {
+    return errorResponse({ status: 405, code: "METHOD_NOT_ALLOWED", message: "Method Not Allowed" });
+  }
+  if (!isAuthEnabled(env)) {
+    return errorResponse({ status: 404, code: "AUTH_DISABLED", message: "本站未启用邀请码" });
+  }
+
+  let code;
+  try {
+    ({ code } = (await request.json()) || {});
+  } catch {
+    return errorResponse(new ValidationError("INVALID_BODY", "请求体需为 JSON"));
+  }
+  const result = await redeemInvite(env, code);
+  if (!result) {
+    return errorResponse(new ValidationError("INVALID_INVITE", "邀请码无效、已过期或已停用", "code"));
+  }
+  return jsonResponse(result);
+}
+
+/**
+ * 管理员签发邀请码，需 Authorization: Bearer <ADMIN_SECRET>。
+ * POST /api/admin/invites  { "count": 5, "ttlDays": 7, "days": 30 }
+ * ttlDays 为邀请码有效天数，days 为兑换后令牌的有效天数。
+ */
+async function handleAdminInvitesAPI(request, env) {
+  if (request.method !== "POST") {
+    return errorResponse({ status: 405, code: "METHOD_NOT_ALLOWED", message: "Method Not Allowed" });
+  }
+  if (!(await isAdminRequest(request, env))) {
+    return errorResponse({ status: 401, code: "UNAUTHORIZED", message: "未授权" });
+  }
+
+  let body;
+  try {
+    body = (await request.json()) || {};
+  } catch {
+    body = {};
+  }
+  const { count = 1, ttlDays = 7, days = 30 } = body;
+  if (!Number.isInteger(count) || count < 1 || count > 100) {
+    return errorResponse(new ValidationError("OUT_OF_RANGE", "参数错误：count 需为 1–100 的整数", "count"));
+  }
+  for (const [field, value] of Object.entries({ ttlDays, days })) {
+    if (typeof value !== "number" || !(value > 0)) {
+      return errorResponse(new ValidationError("OUT_OF_RANGE", `参数错误：${field} 需为正数`, field));
+    }
+  }
+
+  const invites = [];
+  for (let i = 0; i < count; i++) invites.push(await createInvite(env, { ttlDays, days }));
+  return jsonResponse({ invites });
+}
+
+/**
+ * 纯计算起卦接口，不调用 AI。
+ * GET  /api/hexagram?numbers=3,5,2&timestamp=1718511692000
+ * POST /api/hexagram  { "numbers": [3, 5, 2], "timestamp": 1718511692000 }
+ * 传 method=time 时忽略 numbers，按 timestamp 对应的农历月、日、时辰起卦。
+ * 可选 timeZone（IANA 时区名）与 longitude（经度，给出时按真太阳时排盘）。
+ */
+async function handleHexagramAPI(request) {
+  let numbers;
+  let timestamp;
+  let method;
+  let timeZone;
+  let longitude;
+  if (request.method === "GET") {
+    const query = new URL(request.url).searchParams;
+    numbers = (query.get("numbers") || "").split(",").filter(Boolean).map(Number);
+    timestamp = query.has("timestamp") ? Number(query.get("timestamp")) : undefined;
+    method = query.get("method") || undefined;
+    timeZone = query.get("timeZone") || undefined;
+    longitude = query.has("longitude") ? Number(query.get("longitude")) : undefined;
+  } else if (request.method === "POST") {
+    try {
+      ({ numbers, timestamp, method, timeZone, longitude } = (await request.json()) || {});
+    } catch {
+      return errorResponse(new ValidationError("INVALID_BODY", "请求体需为 JSON"));
+    }
+  } else {
+    return errorResponse({ status: 405, code: "METHOD_NOT_ALLOWED", message: "Method Not Allowed" });
+  }
+
+  const date = timestamp === undefined ? new Date() : new Date(timestamp);
+  if (Number.isNaN(date.getTime())) {
+    return errorResponse(new ValidationError("INVALID_VALUE", "参数错误：timestamp 需为毫秒时间戳", "timestamp"));
+  }
+  const timeOptions = { timeZone, longitude };
+  let timeBasis;
+  try {
+    timeBasis = getTimeBasis(date, timeOptions);
+  } catch (err) {
+    const field = longitude === undefined || longitude === null ? "timeZone" : "longitude";
+    return errorResponse(new ValidationError("INVALID_VALUE", `参数错误：${err.message}`, field));
+  }
+  if (method === "time") {
+    ({ numbers } = castNumbers(method, numbers, "", date, timeOptions));
+  } else if (
+    !Array.isArray(numbers) ||
+    numbers.length !== 3 ||
+    !numbers.every(n => Number.isInteger(n) && n > 0)
+  ) {
+    return errorResponse(new ValidationError("INVALID_VALUE", "参数错误：numbers 需为 3 个正整数", "numbers"));
+  }
+
+  const { lunarDate, ...pillars } = getBaziDetail(date, timeOptions);
+  const palaces = castPalaces(numbers);
+  return jsonResponse({
+    numbers,
+    timestamp: date.getTime(),
+    palaces,
+    relations: analyzeRelations(palaces),
+    pillars,
+    lunarDate,
+    timeBasis,
+    calendar: getCalendarContext(date, timeOptions)
+  });
+}
+
 // ********************************************************
 // *                     Worker 入口                      *
 // ********************************************************
 
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
+/**
+ * 路由分发：API 与静态资源。CORS 与 X-Request-Id 由入口统一处理，此处的响应无需携带。
+ */
+async function route(request, env, log) {
+  const url = new URL(request.url);
 
-    // API
-    if (url.pathname === "/api/divination") {
-      return handleDivinationAPI(request, env);
+  // API
+  if (url.pathname === "/api/divination") {
+    return handleDivinationAPI(request, env, log);
+  }
+  if (url.pathname === "/v1/chat/completions") {
+    return handleChatCompletionsAPI(request, env, log);
+  }
+  if (url.pathname === "/v1/models") {
+    if (request.method !== "GET") {
+      return openAIErrorResponse({ status: 405, code: "METHOD_NOT_ALLOWED", message: "Method Not Allowed" });
+    }
+    return jsonResponse(listVirtualModels());
+  }
+  if (url.pathname === "/api/models") {
+    return handleModelsAPI(request, env, log);
+  }
+  if (url.pathname === "/api/health" || url.pathname === "/api/config") {
+    if (request.method !== "GET") {
+      return errorResponse({ status: 405, code: "METHOD_NOT_ALLOWED", message: "Method Not Allowed" });
     }
+    return url.pathname === "/api/health" ? handleHealthAPI(env) : handleConfigAPI(env, log);
+  }
+  if (url.pathname === "/api/hexagram") {
+    return handleHexagramAPI(request);
+  }
+  if (url.pathname === "/api/auth/redeem") {
+    return handleRedeemAPI(request, env);
+  }
+  if (url.pathname === "/api/admin/invites") {
+    return handleAdminInvitesAPI(request, env);
+  }
 
-    // 静态资源
-    try {
-      const assetPath = url.pathname === "/" ? "index.html" : url.pathname.slice(1);
-      const asset = await env.ASSETS.fetch(new Request(`${url.origin}/${assetPath}`));
-      if (asset.status === 200) {
-        return new Response(asset.body, {
-          status: asset.status,
-          headers: {
-            ...asset.headers,
-            "Content-Type": MIME_TYPES[assetPath.split(".").pop()] || "application/octet-stream",
-            "Cache-Control": "public, max-age=31536000",
-            "Access-Control-Allow-Origin": "*"
-          }
-        });
-      }
-    } catch (err) {
-      console.error("静态资产服务错误:", err);
+  // 静态资源
+  try {
+    const assetPath = url.pathname === "/" ? "index.html" : url.pathname.slice(1);
+    const asset = await env.ASSETS.fetch(new Request(`${url.origin}/${assetPath}`));
+    if (asset.status === 200) {
+      return new Response(asset.body, {
+        status: asset.status,
+        headers: {
+          ...asset.headers,
+          "Content-Type": MIME_TYPES[assetPath.split(".").pop()] || "application/octet-stream",
+          "Cache-Control": "public, max-age=31536000"
+        }
+      });
     }
+  } catch (err) {
+    log.error("asset_failed", { path: url.pathname, error: err });
+  }
 
-    // 404
-    return new Response("页面未找到", {
-      status: 404,
-      headers: {
-        "Content-Type": "text/plain; charset=utf-8",
-        "Access-Control-Allow-Origin": "*"
-      }
-    });
+  // 404
+  return new Response("页面未找到", {
+    status: 404,
+    headers: {
+      "Content-Type": "text/plain; charset=utf-8"
+    }
+  });
+}
+
+/** 是否为接口请求：/api/ 下的自有接口与 /v1/ 下的 OpenAI 兼容接口 */
+const isApiPath = pathname => pathname.startsWith("/api/") || pathname.startsWith("/v1/");
+
+/**
+ * 处理单个请求：CORS 检查 → 路由，未捕获的异常统一返回 500。
+ * /v1/ 下的错误按 OpenAI 格式返回。
+ */
+async function handle(request, env, log) {
+  const { pathname } = new URL(request.url);
+  const fail = err => (pathname.startsWith("/v1/") ? openAIErrorResponse(err) : errorResponse(err));
+
+  // CORS：预检统一应答；不在 ALLOWED_ORIGINS 中的跨域接口请求直接拒绝，不进入业务逻辑
+  if (request.method === "OPTIONS") return preflightResponse(request, env);
+  if (isApiPath(pathname) && !isOriginAllowed(request, env)) {
+    return fail({ status: 403, code: "ORIGIN_NOT_ALLOWED", message: "不允许来自该来源的跨域请求" });
+  }
+  let response;
+  try {
+    response = await route(request, env, log);
+  } catch (err) {
+    log.error("unhandled_error", { error: err, stack: err?.stack });
+    response = fail({ status: 500, code: "INTERNAL_ERROR", message: "服务器内部错误" });
+  }
+  return withCors(response, request, env);
+}
+
+export default {
+  async fetch(request, env) {
+    // 每个请求一个 id：写入所有日志、响应头 X-Request-Id 与 meta 事件，便于按 id 排查
+    const log = createLogger(getRequestId(request));
+    const startedAt = Date.now();
+    const response = await handle(request, env, log);
+    response.headers.set("X-Request-Id", log.requestId);
+
+    // 接口请求记录访问日志；流式响应的耗时为响应头返回的时间，解卦耗时见 divination 日志
+    const { pathname } = new URL(request.url);
+    if (isApiPath(pathname)) {
+      log.info("request", {
+        method: request.method,
+        path: pathname,
+        status: response.status,
+        durationMs: Date.now() - startedAt
+      });
+    }
+    return response;
   }
 };
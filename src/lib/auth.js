@@ -0,0 +1,136 @@
+/**
+ * @file auth.js
+ * @brief 邀请码与访问令牌（可选的访问控制层）。
+ * @details 邀请码与访问令牌均为 HMAC-SHA256 签名的自包含字符串：
+ *          base64url(JSON 载荷) + "." + base64url(签名)，无需数据库即可校验。
+ *          - 邀请码：{ typ: "invite", jti, exp, days }，由管理员接口签发；
+ *          - 访问令牌：{ typ: "access", sub, exp }，兑换邀请码获得，sub 为邀请码的 jti。
+ *          吊销通过环境变量 REVOKED_INVITES 列出邀请码 jti 实现，对应令牌一并失效。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const DAY_MS = 24 * 3600 * 1000;
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+function importKey(secret) {
+  return crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+}
+
+/** 对载荷签名，返回 "载荷.签名" 形式的字符串 */
+async function sign(payload, secret) {
+  const body = toBase64Url(encoder.encode(JSON.stringify(payload)));
+  const signature = await crypto.subtle.sign("HMAC", await importKey(secret), encoder.encode(body));
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * 校验签名、类型与有效期。
+ * @return {Promise<object|null>} 通过时返回载荷，否则返回 null。
+ */
+async function verify(token, secret, type) {
+  const [body, signature, extra] = String(token || "").trim().split(".");
+  if (!body || !signature || extra !== undefined) return null;
+  try {
+    const valid = await crypto.subtle.verify(
+      "HMAC",
+      await importKey(secret),
+      fromBase64Url(signature),
+      encoder.encode(body)
+    );
+    if (!valid) return null;
+    const payload = JSON.parse(decoder.decode(fromBase64Url(body)));
+    if (payload.typ !== type || !(payload.exp > Date.now())) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/** 解析已吊销的邀请码 jti 列表（数组或逗号分隔字符串） */
+function parseRevoked(value) {
+  if (Array.isArray(value)) return value;
+  return String(value || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/** 是否启用了访问控制：配置了签名密钥 AUTH_SECRET 即启用 */
+export function isAuthEnabled(env) {
+  return Boolean(env.AUTH_SECRET);
+}
+
+/**
+ * 签发邀请码。
+ * @param {object} env - Worker 环境变量，读取 AUTH_SECRET。
+ * @param {{ttlDays?: number, days?: number}} [options] ttlDays 为邀请码本身的有效天数，
+ *        days 为兑换所得令牌的有效天数。
+ * @return {Promise<{code: string, id: string, expiresAt: number}>} 邀请码、其 jti 与过期时间。
+ */
+export async function createInvite(env, { ttlDays = 7, days = 30 } = {}) {
+  const id = toBase64Url(crypto.getRandomValues(new Uint8Array(6)));
+  const expiresAt = Date.now() + ttlDays * DAY_MS;
+  const code = await sign({ typ: "invite", jti: id, exp: expiresAt, days }, env.AUTH_SECRET);
+  return { code, id, expiresAt };
+}
+
+/**
+ * 兑换邀请码，返回访问令牌。
+ * @param {object} env - Worker 环境变量，读取 AUTH_SECRET、REVOKED_INVITES。
+ * @param {string} code - 邀请码。
+ * @return {Promise<{token: string, expiresAt: number}|null>} 邀请码无效、过期或已吊销时返回 null。
+ */
+export async function redeemInvite(env, code) {
+  const invite = await verify(code, env.AUTH_SECRET, "invite");
+  if (!invite || parseRevoked(env.REVOKED_INVITES).includes(invite.jti)) return null;
+  const expiresAt = Date.now() + invite.days * DAY_MS;
+  const token = await sign({ typ: "access", sub: invite.jti, exp: expiresAt }, env.AUTH_SECRET);
+  return { token, expiresAt };
+}
+
+/**
+ * 校验请求头 Authorization: Bearer <token> 中的访问令牌。
+ * @param {Request} request - 原始请求。
+ * @param {object} env - Worker 环境变量。
+ * @return {Promise<object|null>} 有效时返回令牌载荷（含 sub），否则返回 null。
+ */
+export async function verifyAccessToken(request, env) {
+  const match = /^Bearer\s+(.+)$/i.exec(request.headers.get("Authorization") || "");
+  if (!match) return null;
+  const payload = await verify(match[1], env.AUTH_SECRET, "access");
+  if (!payload || parseRevoked(env.REVOKED_INVITES).includes(payload.sub)) return null;
+  return payload;
+}
+
+/**
+ * 校验管理员密钥（Authorization: Bearer <ADMIN_SECRET>）。
+ * 比较双方的 HMAC 摘要而非原文，避免按字符比较带来的时序差异。
+ */
+export async function isAdminRequest(request, env) {
+  const match = /^Bearer\s+(.+)$/i.exec(request.headers.get("Authorization") || "");
+  if (!env.ADMIN_SECRET || !env.AUTH_SECRET || !match) return false;
+  const [given, expected] = await Promise.all(
+    [match[1].trim(), env.ADMIN_SECRET].map(text => sign(text, env.AUTH_SECRET))
+  );
+  return given === expected;
+}
@@ -0,0 +1,83 @@
+/**
+ * @file cache.js
+ * @brief 相同占卜的结果缓存（Workers KV）。
+ * @details 同一小时内以相同的数字重问同一问题（如刷新页面后重新提交），
+ *          发送给模型的提示词完全相同，可直接重放上次的解卦，免去重复生成的费用。
+ *          缓存键为最终发送给模型的完整消息（系统提示词与用户消息，后者含卦象、四柱、
+ *          时间、时间基准与历法信息）、作答模型、接口地址以及是否推送推理过程的 SHA-256，
+ *          提示词中任何一处不同都不会共用缓存；其中的时间由调用方截取到小时。
+ *          缓存值为解卦过程中推送的事件序列（连续的同类文本事件合并存储）。
+ *          绑定 KV 命名空间 DIVINATION_CACHE 且 CACHE_TTL（秒）大于 0 时启用。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+const encoder = new TextEncoder();
+
+/** KV 允许的最短过期时间（秒） */
+const MIN_TTL = 60;
+
+/** 可合并存储的文本事件 */
+const TEXT_EVENTS = new Set(["reasoning", "answer"]);
+
+/**
+ * 取得本次请求的缓存时长（秒）。
+ * @param {object} env - Worker 环境变量，读取 DIVINATION_CACHE、CACHE_TTL。
+ * @param {number} [requested] - 请求体中的 cacheTtl，只能缩短 CACHE_TTL；0 表示本次结果不写入缓存。
+ * @return {number} 0 表示不写入缓存；否则不小于 KV 的下限 60 秒。
+ */
+export function getCacheTtl(env, requested) {
+  const configured = Number(env.CACHE_TTL) || 0;
+  if (!env.DIVINATION_CACHE || configured <= 0) return 0;
+  const ttl = Math.min(requested ?? configured, configured);
+  return ttl > 0 ? Math.max(MIN_TTL, ttl) : 0;
+}
+
+/** 是否启用了缓存（未启用时既不读取也不写入） */
+export function isCacheEnabled(env) {
+  return Boolean(env.DIVINATION_CACHE) && (Number(env.CACHE_TTL) || 0) > 0;
+}
+
+/**
+ * 计算缓存键。
+ * @param {{messages: {role: string, content: string}[], model: string, endpoint: string,
+ *          showReasoning: boolean}} parts - messages 为最终发送给模型的消息。
+ * @return {Promise<string>} 形如 "divination:<sha256>"。
+ */
+export async function buildCacheKey({ messages, model, endpoint, showReasoning }) {
+  const source = JSON.stringify([
+    messages.map(({ role, content }) => [role, content]),
+    model,
+    endpoint,
+    Boolean(showReasoning)
+  ]);
+  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(source));
+  const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+  return `divination:${hex}`;
+}
+
+/**
+ * 读取缓存的事件序列。
+ * @return {Promise<{event: string, data: any}[]|null>} 未命中时为 null；读取失败时抛出，由调用方记录并视为未命中。
+ */
+export async function readCache(env, key) {
+  return await env.DIVINATION_CACHE.get(key, "json");
+}
+
+/**
+ * 写入事件序列，连续的 reasoning / answer 事件合并为一条。写入失败时抛出，由调用方记录。
+ * @param {object} env - Worker 环境变量。
+ * @param {string} key - buildCacheKey 返回的键。
+ * @param {{event: string, data: any}[]} events - 解卦过程中推送的事件。
+ * @param {number} ttl - 过期时间（秒），见 getCacheTtl。
+ */
+export async function writeCache(env, key, events, ttl) {
+  const merged = [];
+  for (const { event, data } of events) {
+    const last = merged.at(-1);
+    if (TEXT_EVENTS.has(event) && last?.event === event) last.data += data;
+    else merged.push({ event, data });
+  }
+  await env.DIVINATION_CACHE.put(key, JSON.stringify(merged), { expirationTtl: ttl });
+}
@@ -0,0 +1,95 @@
+/**
+ * @file cors.js
+ * @brief 可配置的跨域（CORS）策略。
+ * @details 环境变量 ALLOWED_ORIGINS 列出允许跨域访问的来源（数组或逗号分隔字符串）：
+ *          - "*"：允许任意来源（未配置时的默认行为）；
+ *          - "https://app.example.com"：完全匹配；
+ *          - "https://*.example.com"：匹配该域名的任意子域名（协议与端口须一致）。
+ *          允许的来源原样回显在 Access-Control-Allow-Origin 中，并附 Vary: Origin。
+ *          CORS_STRICT 为 true 时，跨域请求不得使用服务端共享的 API Key，
+ *          只能携带自己的 Key（由调用方结合 isCrossOrigin 判断）。
+ *          不带 Origin 头的请求（同源导航、非浏览器客户端）视为同源。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+/** 预检响应允许的方法与请求头 */
+const ALLOW_METHODS = "GET, POST, DELETE, OPTIONS";
+const ALLOW_HEADERS = "Content-Type, Authorization, Accept, Last-Event-ID, X-Request-Id";
+/** 允许前端读取的响应头 */
+const EXPOSE_HEADERS = "Retry-After, X-Request-Id";
+
+/** 解析允许的来源列表；未配置时为 ["*"]，显式配置为空则仅允许同源 */
+function parseOrigins(value) {
+  if (value === undefined || value === null) return ["*"];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map(s => String(s).trim().replace(/\/+$/, "").toLowerCase()).filter(Boolean);
+}
+
+/** 来源是否匹配规则：「*」匹配全部，「scheme://*.domain」匹配其子域名，其余须完全相同 */
+function matchesOrigin(origin, pattern) {
+  if (pattern === "*") return true;
+  const wildcard = /^([a-z][a-z0-9+.-]*:\/\/)\*(\..+)$/.exec(pattern);
+  if (!wildcard) return origin === pattern;
+  const [, scheme, suffix] = wildcard;
+  return origin.startsWith(scheme) && origin.endsWith(suffix) && origin.length > scheme.length + suffix.length;
+}
+
+/** 是否启用严格模式：跨域请求不得使用服务端 Key */
+export function isStrictCors(env) {
+  return env.CORS_STRICT === true || String(env.CORS_STRICT).toLowerCase() === "true";
+}
+
+/** 请求是否跨域：带有 Origin 头且与请求地址的来源不同 */
+export function isCrossOrigin(request) {
+  const origin = request.headers.get("Origin");
+  return Boolean(origin) && origin !== new URL(request.url).origin;
+}
+
+/** 请求来源是否被允许；同源请求恒为允许 */
+export function isOriginAllowed(request, env) {
+  if (!isCrossOrigin(request)) return true;
+  const origin = request.headers.get("Origin").toLowerCase();
+  return parseOrigins(env.ALLOWED_ORIGINS).some(pattern => matchesOrigin(origin, pattern));
+}
+
+/**
+ * 为响应附加 CORS 头：来源被允许时回显 Origin，否则不附加（由浏览器拦截）。
+ * 会复制一份响应，以便处理 Durable Object 等返回的不可变响应头。
+ * @param {Response} response - 原始响应。
+ * @param {Request} request - 对应的请求。
+ * @param {object} env - Worker 环境变量，读取 ALLOWED_ORIGINS。
+ * @return {Response}
+ */
+export function withCors(response, request, env) {
+  const result = new Response(response.body, response);
+  const origin = request.headers.get("Origin");
+  result.headers.delete("Access-Control-Allow-Origin");
+  result.headers.append("Vary", "Origin");
+  if (origin && isOriginAllowed(request, env)) {
+    result.headers.set("Access-Control-Allow-Origin", origin);
+    result.headers.set("Access-Control-Expose-Headers", EXPOSE_HEADERS);
+  }
+  return result;
+}
+
+/**
+ * 预检（OPTIONS）响应。来源不被允许时同样返回 204，但不带 CORS 头。
+ * @param {Request} request - 预检请求。
+ * @param {object} env - Worker 环境变量。
+ * @return {Response}
+ */
+export function preflightResponse(request, env) {
+  const headers = { Vary: "Origin" };
+  const origin = request.headers.get("Origin");
+  if (origin && isOriginAllowed(request, env)) {
+    Object.assign(headers, {
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Methods": ALLOW_METHODS,
+      "Access-Control-Allow-Headers": ALLOW_HEADERS,
+      "Access-Control-Max-Age": "86400"
+    });
+  }
+  return new Response(null, { status: 204, headers });
+}
@@ -0,0 +1,127 @@
+/**
+ * @file endpoint.js
+ * @brief 用户自带 AI 接口地址的安全校验（防 SSRF）。
+ * @details 客户端可在请求中指定 endpoint，Worker 会代为发起请求，
+ *          因此需限制其只能访问公网上的 AI 服务：
+ *          - 仅允许 https；
+ *          - 拒绝 localhost、单标签主机名、.local / .internal 等内网域名，
+ *            以及私有、回环、链路本地等 IP 字面量（含 IPv4 映射的 IPv6 地址）；
+ *          - 按环境变量 ENDPOINT_DENYLIST / ENDPOINT_ALLOWLIST 过滤域名，
+ *            配置允许列表后即只能使用列出的服务商。
+ *          域名解析到内网地址的情况由兼容性标志 global_fetch_strictly_public 兜底。
+ *          服务端自身配置的 ENDPOINT 与 FALLBACKS 不受此限制。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+import { ValidationError } from "./validate.js";
+
+/** 内网专用的域名后缀 */
+const PRIVATE_SUFFIXES = [".localhost", ".local", ".internal", ".home.arpa"];
+
+/** 解析域名列表（数组或逗号分隔字符串），统一小写 */
+function parseHostList(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return list.map(s => String(s).trim().toLowerCase()).filter(Boolean);
+}
+
+/** 域名是否匹配规则：「*.example.com」匹配其任意子域名，其余须完全相同 */
+function matchesHost(host, pattern) {
+  if (pattern.startsWith("*.")) return host.endsWith(pattern.slice(1));
+  return host === pattern;
+}
+
+/** 解析点分十进制 IPv4 字面量，返回四个字节；不是 IPv4 时返回 null */
+function parseIPv4(host) {
+  const parts = host.split(".");
+  if (parts.length !== 4 || !parts.every(p => /^\d{1,3}$/.test(p))) return null;
+  const bytes = parts.map(Number);
+  return bytes.every(b => b <= 255) ? bytes : null;
+}
+
+/** 解析 "[…]" 形式的 IPv6 字面量（URL 已规范化为十六进制分组），返回 8 个分组；不是 IPv6 时返回 null */
+function parseIPv6(host) {
+  if (!host.startsWith("[") || !host.endsWith("]")) return null;
+  const [head, tail] = host.slice(1, -1).split("::");
+  const toGroups = text => (text ? text.split(":").map(h => parseInt(h, 16)) : []);
+  const left = toGroups(head);
+  if (tail === undefined) return left;
+  const right = toGroups(tail);
+  return [...left, ...Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+/** 未指定、私有、回环、链路本地、运营商 NAT、基准测试、组播与保留地址段 */
+function isPrivateIPv4([a, b]) {
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    a >= 224
+  );
+}
+
+function isPrivateIPv6(groups) {
+  // ::ffff:a.b.c.d、已废弃的 ::a.b.c.d（含 :: 与 ::1）以及 NAT64 64:ff9b::a.b.c.d 按内嵌的 IPv4 判断
+  const embedsIPv4 =
+    (groups.slice(0, 5).every(g => g === 0) && (groups[5] === 0 || groups[5] === 0xffff)) ||
+    (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(g => g === 0));
+  if (embedsIPv4) {
+    return isPrivateIPv4([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff]);
+  }
+  return (
+    (groups[0] & 0xfe00) === 0xfc00 || // 唯一本地地址 fc00::/7
+    (groups[0] & 0xffc0) === 0xfe80 || // 链路本地 fe80::/10
+    (groups[0] & 0xff00) === 0xff00 // 组播 ff00::/8
+  );
+}
+
+/** 主机是否指向本机或内网 */
+function isPrivateHost(host) {
+  const ipv4 = parseIPv4(host);
+  if (ipv4) return isPrivateIPv4(ipv4);
+  const ipv6 = parseIPv6(host);
+  if (ipv6) return isPrivateIPv6(ipv6);
+  // 单标签主机名（如 metadata）只能在内网解析
+  return host === "localhost" || !host.includes(".") || PRIVATE_SUFFIXES.some(s => host.endsWith(s));
+}
+
+/**
+ * 校验用户提供的 AI 接口地址。
+ * @param {string} endpoint - 用户提供的地址。
+ * @param {object} env - Worker 环境变量，读取 ENDPOINT_ALLOWLIST、ENDPOINT_DENYLIST。
+ * @param {string} [field="endpoint"] - 出错时报告的字段名。
+ * @throws {ValidationError} 地址无效（INVALID_URL）或不被允许（ENDPOINT_NOT_ALLOWED）时抛出。
+ */
+export function checkEndpoint(endpoint, env, field = "endpoint") {
+  let url;
+  try {
+    url = new URL(String(endpoint).trim());
+  } catch {
+    throw new ValidationError("INVALID_URL", `参数错误：${field} 不是有效的地址`, field);
+  }
+  if (url.protocol !== "https:") {
+    throw new ValidationError("ENDPOINT_NOT_ALLOWED", `参数错误：${field} 仅支持 https 地址`, field);
+  }
+
+  const host = url.hostname.toLowerCase().replace(/\.$/, "");
+  if (isPrivateHost(host)) {
+    throw new ValidationError("ENDPOINT_NOT_ALLOWED", `参数错误：${field} 不能指向本机或内网地址`, field);
+  }
+  if (parseHostList(env.ENDPOINT_DENYLIST).some(p => matchesHost(host, p))) {
+    throw new ValidationError("ENDPOINT_NOT_ALLOWED", `参数错误：${field} 的域名 ${host} 已被禁用`, field);
+  }
+  const allowlist = parseHostList(env.ENDPOINT_ALLOWLIST);
+  if (allowlist.length && !allowlist.some(p => matchesHost(host, p))) {
+    throw new ValidationError(
+      "ENDPOINT_NOT_ALLOWED",
+      `参数错误：${field} 的域名 ${host} 不在允许列表中`,
+      field
+    );
+  }
+}
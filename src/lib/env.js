@@ -0,0 +1,14 @@
+/**
+ * @file env.js
+ * @brief 读取环境变量的公共工具。
+ * @details wrangler.jsonc 中的 vars 为 JSON 值，Secret 与 .dev.vars 中的值为字符串，读取时需兼容两者。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+/** 读取数值型环境变量，缺省或非法时返回默认值 */
+export const envNumber = (value, fallback) => {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) ? n : fallback;
+};
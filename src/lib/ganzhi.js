@@ -14,35 +14,201 @@
 
 import { Solar } from "lunar-javascript";
 
-// 将任意 Date 对象转换为东八区（UTC+8）时间，保证在 Cloudflare（默认 UTC）环境下也能得到一致结果。
-function convertToBeijing(date) {
-  // 目标时区相对于 UTC 的偏移，单位分钟。北京/上海为 -480。
-  const TARGET_OFFSET = -480;
-  // 当前运行环境的本地时区偏移，单位分钟。
-  const localOffset = date.getTimezoneOffset();
-  // 需要调整的分钟差 = 本地偏移 - 目标偏移。
-  const diffMinutes = localOffset - TARGET_OFFSET;
+/** 默认时区：北京时间 */
+const DEFAULT_TIME_ZONE = "Asia/Shanghai";
+
+/**
+ * 计算某 IANA 时区在指定时刻相对 UTC 的偏移，单位分钟（东八区为 480）。
+ * 时区名无效时 Intl 会抛出 RangeError。
+ */
+function getZoneOffset(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(date)) {
+    parts[type] = value;
+  }
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * 均时差（真太阳时 − 平太阳时），单位分钟。采用常用的近似公式，误差在 1 分钟以内。
+ */
+function equationOfTime(date) {
+  const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const dayOfYear = Math.floor((date.getTime() - startOfYear) / 86400000) + 1;
+  const b = (2 * Math.PI * (dayOfYear - 81)) / 364;
+  return 9.87 * Math.sin(2 * b) - 7.53 * Math.cos(b) - 1.5 * Math.sin(b);
+}
+
+/**
+ * 确定排盘所用的时间基准。
+ * - 传入 longitude 时使用真太阳时：UTC + 经度 × 4 分钟 + 均时差；
+ * - 否则使用 timeZone 对应的区时，缺省为北京时间。
+ *
+ * @param {Date} [date=new Date()] JS Date 对象。
+ * @param {{timeZone?: string, longitude?: number}} [options] 时区与经度（东经为正）。
+ * @return {{type: "zone"|"solar", timeZone: string|null, longitude: number|null,
+ *           offsetMinutes: number, text: string}} 时间基准，offsetMinutes 为相对 UTC 的偏移。
+ * @throws {Error} 时区名无效或经度越界时抛出。
+ */
+export function getTimeBasis(date = new Date(), { timeZone, longitude } = {}) {
+  if (longitude !== undefined && longitude !== null) {
+    if (typeof longitude !== "number" || !(longitude >= -180 && longitude <= 180)) {
+      throw new Error("经度需为 -180 ~ 180 之间的数字");
+    }
+    const offsetMinutes = longitude * 4 + equationOfTime(date);
+    const label = `${longitude >= 0 ? "东经" : "西经"}${Math.abs(longitude)}°`;
+    return { type: "solar", timeZone: null, longitude, offsetMinutes, text: `真太阳时（${label}）` };
+  }
+
+  const zone = timeZone || DEFAULT_TIME_ZONE;
+  let offsetMinutes;
+  try {
+    offsetMinutes = getZoneOffset(date, zone);
+  } catch {
+    throw new Error(`无效的时区：${zone}`);
+  }
+  const sign = offsetMinutes >= 0 ? "+" : "-";
+  const abs = Math.abs(offsetMinutes);
+  const utc = `UTC${sign}${Math.floor(abs / 60)}${abs % 60 ? `:${String(abs % 60).padStart(2, "0")}` : ""}`;
+  const text = zone === DEFAULT_TIME_ZONE ? `北京时间（${utc}）` : `${zone} 区时（${utc}）`;
+  return { type: "zone", timeZone: zone, longitude: null, offsetMinutes, text };
+}
+
+// 将任意 Date 对象按时间基准平移，使其本地时间字段等于目标时间，保证在 Cloudflare（默认 UTC）环境下也能得到一致结果。
+function toLocalDate(date, options) {
+  const { offsetMinutes } = getTimeBasis(date, options);
+  // 需要调整的分钟差 = 运行环境本地偏移（getTimezoneOffset 以西为正） + 目标偏移。
+  const diffMinutes = date.getTimezoneOffset() + offsetMinutes;
   return new Date(date.getTime() + diffMinutes * 60 * 1000);
 }
 
 /**
- * 计算并格式化完整的四柱八字。
+ * 计算四柱八字与农历日期的结构化结果。
  *
  * @param {Date} [date=new Date()] JS Date 对象，可传入任意时间点。
- * @return {string} 示例："甲子年 丙寅月 戊申日 壬子时"。
+ * @param {{timeZone?: string, longitude?: number}} [options] 时间基准，见 getTimeBasis。
+ * @return {{year: string, month: string, day: string, hour: string,
+ *           lunarDate: {year: number, month: number, day: number, text: string}}}
+ *         四柱干支（如 year: "甲子"）及农历日期；闰月时 month 为负数。
  */
-export function getFullBazi(date = new Date()) {
-  // 统一转换为东八区时间后再进行干支计算。
-  const bjDate = convertToBeijing(date);
+export function getBaziDetail(date = new Date(), options = {}) {
+  // 统一转换为目标时间基准（缺省东八区）后再进行干支计算。
+  const localDate = toLocalDate(date, options);
 
   // 直接使用最新 lunar-javascript 提供的 Solar.fromDate API。
-  const solar = Solar.fromDate(bjDate);
+  const solar = Solar.fromDate(localDate);
 
   const lunar = solar.getLunar();
-  const year = lunar.getYearInGanZhi();
-  const month = lunar.getMonthInGanZhi();
-  const day = lunar.getDayInGanZhi();
-  const hour = lunar.getTimeInGanZhi();
+  return {
+    year: lunar.getYearInGanZhi(),
+    month: lunar.getMonthInGanZhi(),
+    day: lunar.getDayInGanZhi(),
+    hour: lunar.getTimeInGanZhi(),
+    lunarDate: {
+      year: lunar.getYear(),
+      month: lunar.getMonth(),
+      day: lunar.getDay(),
+      text: lunar.toString()
+    }
+  };
+}
+
+/** 中气 → 月将（地支及将名）。月将自每个中气起更换。 */
+const YUE_JIANG = {
+  雨水: ["亥", "登明"],
+  春分: ["戌", "河魁"],
+  谷雨: ["酉", "从魁"],
+  小满: ["申", "传送"],
+  夏至: ["未", "小吉"],
+  大暑: ["午", "胜光"],
+  处暑: ["巳", "太乙"],
+  秋分: ["辰", "天罡"],
+  霜降: ["卯", "太冲"],
+  小雪: ["寅", "功曹"],
+  冬至: ["丑", "大吉"],
+  大寒: ["子", "神后"]
+};
+
+/**
+ * 取占时的扩展历法信息：中文农历日期、当前与下一节气、日柱旬空、月将及当日宜忌。
+ *
+ * @param {Date} [date=new Date()] JS Date 对象，可传入任意时间点。
+ * @param {{timeZone?: string, longitude?: number}} [options] 时间基准，见 getTimeBasis。
+ * @return {{lunarDate: string,
+ *           solarTerm: {current: {name: string, date: string}, next: {name: string, date: string}},
+ *           xunKong: string, yueJiang: {branch: string, name: string}, yi: string[], ji: string[]}}
+ *         如 lunarDate: "丙午（马）年九月初十"，xunKong: "戌亥"，yueJiang: { branch: "辰", name: "天罡" }。
+ */
+export function getCalendarContext(date = new Date(), options = {}) {
+  const lunar = Solar.fromDate(toLocalDate(date, options)).getLunar();
+  const prev = lunar.getPrevJieQi();
+  const next = lunar.getNextJieQi();
+  const [branch, name] = YUE_JIANG[lunar.getPrevQi().getName()];
 
+  return {
+    lunarDate: `${lunar.getYearInGanZhi()}（${lunar.getYearShengXiao()}）年${lunar.getMonthInChinese()}月${lunar.getDayInChinese()}`,
+    solarTerm: {
+      current: { name: prev.getName(), date: prev.getSolar().toYmd() },
+      next: { name: next.getName(), date: next.getSolar().toYmd() }
+    },
+    xunKong: lunar.getDayXunKong(),
+    yueJiang: { branch, name },
+    yi: lunar.getDayYi(),
+    ji: lunar.getDayJi()
+  };
+}
+
+/**
+ * 生成供 AI 提示词使用的历法信息文本。
+ * @param {object} calendar - getCalendarContext 的返回值。
+ * @return {string} 多行文本。
+ */
+export function describeCalendar(calendar) {
+  const { lunarDate, solarTerm, xunKong, yueJiang, yi, ji } = calendar;
+  return [
+    `农历：${lunarDate}`,
+    `节气：${solarTerm.current.name}（${solarTerm.current.date}）→ 下一节气${solarTerm.next.name}（${solarTerm.next.date}）`,
+    `旬空：${xunKong}`,
+    `月将：${yueJiang.branch}（${yueJiang.name}）`,
+    `宜：${yi.join("、") || "无"}`,
+    `忌：${ji.join("、") || "无"}`
+  ].join("\n");
+}
+
+/**
+ * 取传统「月日时」起卦所需的三个数：农历月、农历日、时辰序数。
+ *
+ * @param {Date} [date=new Date()] JS Date 对象，可传入任意时间点。
+ * @param {{timeZone?: string, longitude?: number}} [options] 时间基准，见 getTimeBasis。
+ * @return {{numbers: number[], text: string}} numbers 依次为农历月（闰月按本月计）、
+ *         农历日、时辰序数（子=1 … 亥=12）；text 如 "九月初十 酉时"。
+ */
+export function getTimeCastNumbers(date = new Date(), options = {}) {
+  const lunar = Solar.fromDate(toLocalDate(date, options)).getLunar();
+  return {
+    numbers: [Math.abs(lunar.getMonth()), lunar.getDay(), lunar.getTimeZhiIndex() + 1],
+    text: `${lunar.getMonthInChinese()}月${lunar.getDayInChinese()} ${lunar.getTimeZhi()}时`
+  };
+}
+
+/**
+ * 计算并格式化完整的四柱八字。
+ *
+ * @param {Date} [date=new Date()] JS Date 对象，可传入任意时间点。
+ * @param {{timeZone?: string, longitude?: number}} [options] 时间基准，见 getTimeBasis。
+ * @return {string} 示例："甲子年 丙寅月 戊申日 壬子时"。
+ */
+export function getFullBazi(date = new Date(), options = {}) {
+  const { year, month, day, hour } = getBaziDetail(date, options);
   return `${year}年 ${month}月 ${day}日 ${hour}时`;
 }
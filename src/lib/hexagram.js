@@ -3,18 +3,99 @@
  * @brief 小六壬卦象生成工具函数（服务端）。
  * @details 根据三个输入数字推算 "小六壬" 卦象词组。本实现与前端版本保持一致，
  *          仅移至 Cloudflare Worker 侧以减轻客户端负担。
+ *          同时提供六宫的传统属性（五行、方位、地支、六神、吉凶、古诀）、
+ *          初/中/终三宫之间的五行生克分析，以及由问题文字（字数/笔画）取数的起卦方式。
  *
  * @author AI
  * @date 2025-06-16
  */
 
+import { getStrokeCount } from "./strokes.js";
+
+/** 六宫名称，按顺序对应序号 1–6 */
+export const PALACES = ["大安", "留连", "速喜", "赤口", "小吉", "空亡"];
+
+/** 三宫所处位置 */
+const POSITIONS = ["初", "中", "终"];
+
 /**
- * 根据三个数字生成卦象。
+ * 六宫传统属性表。
+ * 五行、方位、地支、六神依通行的「马前课」配属，古诀取其断语诗。
+ */
+export const PALACE_INFO = {
+  大安: {
+    element: "木",
+    direction: "东方",
+    branches: ["寅", "卯"],
+    spirit: "青龙",
+    luck: "大吉",
+    verse: "大安事事昌，求财在坤方，失物去不远，宅舍保安康。行人身未动，病者主无妨，将军回田野，仔细更推详。"
+  },
+  留连: {
+    element: "土",
+    direction: "中央",
+    branches: ["辰", "戌", "丑", "未"],
+    spirit: "腾蛇",
+    luck: "凶",
+    verse: "留连事难成，求谋日未明，官事只宜缓，去者未回程。失物南方见，急讨方称心，更须防口舌，人口且平平。"
+  },
+  速喜: {
+    element: "火",
+    direction: "南方",
+    branches: ["巳", "午"],
+    spirit: "朱雀",
+    luck: "吉",
+    verse: "速喜喜来临，求财向南行，失物申未午，逢人路上寻。官事有福德，病者无祸侵，田宅六畜吉，行人有信音。"
+  },
+  赤口: {
+    element: "金",
+    direction: "西方",
+    branches: ["申", "酉"],
+    spirit: "白虎",
+    luck: "凶",
+    verse: "赤口主口舌，官非切宜防，失物速速讨，行人有惊慌。六畜多作怪，病者出西方，更须防咀咒，诚恐染瘟皇。"
+  },
+  小吉: {
+    element: "水",
+    direction: "北方",
+    branches: ["亥", "子"],
+    spirit: "六合",
+    luck: "小吉",
+    verse: "小吉最吉昌，路上好商量，阴人来报喜，失物在坤方。行人即便至，交关甚是强，凡事皆和合，病者叩穹苍。"
+  },
+  空亡: {
+    element: "土",
+    direction: "中央",
+    branches: ["辰", "戌", "丑", "未"],
+    spirit: "勾陈",
+    luck: "大凶",
+    verse: "空亡事不祥，阴人多乖张，求财无利益，行人有灾殃。失物寻不见，官事有刑伤，病人逢暗鬼，解禳保安康。"
+  }
+};
+
+/** 五行相生：键生值 */
+const GENERATES = { 木: "火", 火: "土", 土: "金", 金: "水", 水: "木" };
+/** 五行相克：键克值 */
+const OVERCOMES = { 木: "土", 土: "水", 水: "火", 火: "金", 金: "木" };
+
+/**
+ * 根据宫序构造带完整属性的宫位对象。
+ * @param {number} index - 1–6 的宫序。
+ * @param {number} order - 0、1、2 分别对应初、中、终。
+ * @return {object} 宫位对象。
+ */
+function buildPalace(index, order) {
+  const name = PALACES[index - 1];
+  return { position: POSITIONS[order], name, index, ...PALACE_INFO[name] };
+}
+
+/**
+ * 根据三个数字推算三宫，返回结构化结果。
  * @param {number[]} numbers - 长度为 3 的正整数数组。
- * @return {string} 卦象词语组合（如 "大安 小吉 空亡"）。
+ * @return {object[]} 初、中、终三宫，含 position、name、index（1–6 的宫序）
+ *         及 element、direction、branches、spirit、luck、verse 等属性。
  */
-export function generateHexagram(numbers) {
-  const words = ["大安", "留连", "速喜", "赤口", "小吉", "空亡"];
+export function castPalaces(numbers) {
   if (!Array.isArray(numbers) || numbers.length !== 3) {
     throw new Error("numbers 参数必须为长度为 3 的数组");
   }
@@ -25,5 +106,132 @@ export function generateHexagram(numbers) {
   // 第三爻
   const thirdIndex = (numbers[0] + numbers[1] + numbers[2] - 2) % 6 || 6;
 
-  return `${words[firstIndex - 1]} ${words[secondIndex - 1]} ${words[thirdIndex - 1]}`;
+  return [firstIndex, secondIndex, thirdIndex].map(buildPalace);
+}
+
+/**
+ * 将 "大安 小吉 空亡" 形式的卦象文本还原为结构化三宫。
+ * @param {string} text - 以空白分隔的三个宫名。
+ * @return {object[]|null} 与 castPalaces 相同结构；无法识别时返回 null。
+ */
+export function parsePalaces(text) {
+  const names = String(text || "").trim().split(/\s+/);
+  if (names.length !== 3 || !names.every(n => PALACES.includes(n))) return null;
+  return names.map((name, order) => buildPalace(PALACES.indexOf(name) + 1, order));
+}
+
+/**
+ * 判断两宫之间的五行生克关系。
+ * @param {string} a - 前一宫的五行。
+ * @param {string} b - 后一宫的五行。
+ * @return {string} "比和" | "生" | "被生" | "克" | "被克"，均以前一宫为主语。
+ */
+function relate(a, b) {
+  if (a === b) return "比和";
+  if (GENERATES[a] === b) return "生";
+  if (GENERATES[b] === a) return "被生";
+  if (OVERCOMES[a] === b) return "克";
+  return "被克";
+}
+
+/**
+ * 分析初→中、中→终、初→终三组五行生克。
+ * @param {object[]} palaces - castPalaces / parsePalaces 的返回值。
+ * @return {{from: string, to: string, relation: string, text: string}[]} 生克列表。
+ */
+export function analyzeRelations(palaces) {
+  return [
+    [0, 1],
+    [1, 2],
+    [0, 2]
+  ].map(([i, j]) => {
+    const a = palaces[i];
+    const b = palaces[j];
+    const relation = relate(a.element, b.element);
+    const left = `${a.position}宫${a.name}（${a.element}）`;
+    const right = `${b.position}宫${b.name}（${b.element}）`;
+    const text = {
+      比和: `${left}与${right}比和`,
+      生: `${left}生${right}`,
+      被生: `${left}为${right}所生`,
+      克: `${left}克${right}`,
+      被克: `${left}为${right}所克`
+    }[relation];
+    return { from: a.position, to: b.position, relation, text };
+  });
+}
+
+/**
+ * 生成供 AI 提示词使用的三宫详解文本。
+ * @param {object[]} palaces - castPalaces / parsePalaces 的返回值。
+ * @return {string} 多行文本。
+ */
+export function describePalaces(palaces) {
+  const lines = palaces.map(
+    p =>
+      `${p.position}·${p.name}：五行${p.element}，方位${p.direction}，地支${p.branches.join("")}，六神${p.spirit}，${p.luck}。古诀：${p.verse}`
+  );
+  lines.push(`生克：${analyzeRelations(palaces).map(r => r.text).join("；")}`);
+  return lines.join("\n");
+}
+
+/**
+ * 由问题文字取三数起卦。
+ * 仅统计汉字，将其按「前少后多」均分为三段：
+ * - count：每段的字数即为一数；
+ * - strokes：每段汉字的笔画之和即为一数（笔画表缺失的字记入 missing，不计笔画）。
+ *
+ * @param {string} text - 所问之事。
+ * @param {"count"|"strokes"} [mode="count"] 取数方式。
+ * @return {{numbers: number[], derivation: {mode: string, segments: {text: string, value: number}[],
+ *           missing: string[], text: string}}} 三数及其推导过程。
+ */
+export function castFromText(text, mode = "count") {
+  const chars = String(text || "").match(/\p{Script=Han}/gu) || [];
+  if (chars.length < 3) {
+    throw new Error("问题中至少需包含 3 个汉字才能以字起卦");
+  }
+
+  // 前少后多：余数分给靠后的段
+  const base = Math.floor(chars.length / 3);
+  const rem = chars.length % 3;
+  const sizes = [base, base + (rem === 2 ? 1 : 0), base + (rem > 0 ? 1 : 0)];
+
+  const missing = [];
+  let offset = 0;
+  const segments = sizes.map(size => {
+    const part = chars.slice(offset, (offset += size));
+    let value = size;
+    if (mode === "strokes") {
+      value = 0;
+      for (const ch of part) {
+        const count = getStrokeCount(ch);
+        if (!count) missing.push(ch);
+        value += count;
+      }
+      // 整段均查无笔画时退化为字数，保证取数为正
+      value = value || size;
+    }
+    return { text: part.join(""), value };
+  });
+
+  const unit = mode === "strokes" ? "画" : "字";
+  return {
+    numbers: segments.map(seg => seg.value),
+    derivation: {
+      mode,
+      segments,
+      missing,
+      text: segments.map(seg => `${seg.text}（${seg.value}${unit}）`).join(" | ")
+    }
+  };
+}
+
+/**
+ * 根据三个数字生成卦象。
+ * @param {number[]} numbers - 长度为 3 的正整数数组。
+ * @return {string} 卦象词语组合（如 "大安 小吉 空亡"）。
+ */
+export function generateHexagram(numbers) {
+  return castPalaces(numbers).map(p => p.name).join(" ");
 }
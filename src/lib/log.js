@@ -0,0 +1,53 @@
+/**
+ * @file log.js
+ * @brief 结构化 JSON 日志。
+ * @details 每条日志输出为单行 JSON：{ level, msg, requestId, ...fields }，
+ *          便于在 Workers Observability 中按字段检索与聚合。
+ *          同一请求的所有日志共享 requestId，并与响应头 X-Request-Id、meta 事件中的 requestId 一致。
+ *          Error 对象按 { name, message, code, status } 展开，避免序列化为空对象。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+/** 客户端可自带的请求 id 格式 */
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,64}$/;
+
+/**
+ * 取得请求 id：沿用合法的 X-Request-Id 请求头，否则新生成 UUID。
+ * @param {Request} request - 原始请求。
+ * @return {string}
+ */
+export function getRequestId(request) {
+  const given = request.headers.get("X-Request-Id")?.trim();
+  return given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+}
+
+/** 展开 Error，便于 JSON 序列化 */
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  return { name: value.name, message: value.message, code: value.code, status: value.status };
+}
+
+/**
+ * 创建绑定请求 id 的日志器。
+ * @param {string} [requestId] - 请求 id。
+ * @return {{requestId: string, info: Function, warn: Function, error: Function}}
+ *         info / warn / error 均接收 (msg, fields?)，fields 中的 Error 会被展开。
+ */
+export function createLogger(requestId) {
+  const write = (level, msg, fields = {}) => {
+    const entry = { level, msg, requestId };
+    for (const [key, value] of Object.entries(fields)) entry[key] = serialize(value);
+    const line = JSON.stringify(entry);
+    if (level === "error") console.error(line);
+    else if (level === "warn") console.warn(line);
+    else console.log(line);
+  };
+  return {
+    requestId,
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields)
+  };
+}
@@ -0,0 +1,317 @@
+/**
+ * @file openai.js
+ * @brief OpenAI 兼容接口（/v1/chat/completions、/v1/models）的协议转换。
+ * @details 供只支持 OpenAI API 的聊天客户端与 SDK 调用占卜：
+ *          - VIRTUAL_MODELS：对外暴露的虚拟模型，决定是否输出推理过程；
+ *          - parseChatRequest：校验请求体，以最后一条 user 消息为问题，
+ *            问题开头或末尾带有 3 个 1~999 的整数（如「3 5 2 今年事业如何」）时按其起卦，否则按时间起卦；
+ *          - ChatChunkEncoder：把占卜事件重新编码为 chat.completion.chunk：
+ *            reasoning → delta.reasoning（仅限带推理过程的虚拟模型），answer → delta.content（首段前附卦象与时间），
+ *            notice 转为文本，usage 转为 OpenAI 用量格式，error 输出 { error }，done 输出结束分片与 [DONE]；
+ *          - createChunkStream：将 SSESession 输出的事件流转换为上述分片流；
+ *          - toOpenAIError：结构化错误转换为 { error: { message, type, code, param } }。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+import { MAX_QUESTION_LENGTH, ValidationError } from "./validate.js";
+
+const encoder = new TextEncoder();
+
+/** 虚拟模型：id → 占卜参数 */
+export const VIRTUAL_MODELS = {
+  "liuren-divination": { showReasoning: false, description: "小六壬占卜：直接给出解卦" },
+  "liuren-divination-reasoning": { showReasoning: true, description: "小六壬占卜：附带推理过程（delta.reasoning）" }
+};
+
+/** 虚拟模型的创建时间（Unix 秒），/v1/models 中的 created 字段 */
+const MODELS_CREATED = 1760832000;
+
+/** 数据为纯文本的占卜事件，其余事件的数据为 JSON */
+const TEXT_EVENTS = new Set(["reasoning", "answer", "title", "done"]);
+
+/** 分隔起卦数字的字符 */
+const NUMBER_SEPARATOR = "[\\s,，、]+";
+const LEADING_NUMBERS = new RegExp(`^\\s*(\\d{1,3})${NUMBER_SEPARATOR}(\\d{1,3})${NUMBER_SEPARATOR}(\\d{1,3})(?!\\d)`);
+const TRAILING_NUMBERS = new RegExp(`(?<!\\d)(\\d{1,3})${NUMBER_SEPARATOR}(\\d{1,3})${NUMBER_SEPARATOR}(\\d{1,3})\\s*$`);
+
+/** /v1/models 的响应体 */
+export function listVirtualModels() {
+  return {
+    object: "list",
+    data: Object.keys(VIRTUAL_MODELS).map(id => ({ id, object: "model", created: MODELS_CREATED, owned_by: "oracloud" }))
+  };
+}
+
+/** 取出消息的文本内容：字符串，或 [{ type: "text", text }] 形式的分段 */
+function messageText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .filter(part => part?.type === "text" && typeof part.text === "string")
+    .map(part => part.text)
+    .join("\n");
+}
+
+/**
+ * 从问题开头或末尾拆出 3 个起卦数字。
+ * @param {string} text - 用户消息。
+ * @return {{numbers: number[]|null, question: string}} 未找到或数字不在 1~999 时 numbers 为 null，question 为原文。
+ */
+export function splitNumbers(text) {
+  const leading = LEADING_NUMBERS.exec(text);
+  const trailing = leading ? null : TRAILING_NUMBERS.exec(text);
+  const match = leading || trailing;
+  const numbers = match?.slice(1, 4).map(Number);
+  if (!numbers || numbers.some(n => n < 1)) return { numbers: null, question: text.trim() };
+  const question = leading
+    ? text.slice(match[0].length).replace(/^[\s,，、:：。.]+/, "")
+    : text.slice(0, match.index);
+  return { numbers, question: question.trim() };
+}
+
+/**
+ * 校验 chat/completions 请求体并提取占卜参数。
+ * @param {unknown} body - 已解析的 JSON 请求体。
+ * @return {{model: string, showReasoning: boolean, question: string, numbers: number[]|null,
+ *           stream: boolean, includeUsage: boolean}} numbers 为 null 时按时间起卦。
+ * @throws {ValidationError} 请求体不合法、模型不存在或缺少问题时抛出。
+ */
+export function parseChatRequest(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ValidationError("INVALID_BODY", "请求体需为 JSON 对象");
+  }
+  const { model, messages, stream = false, stream_options: streamOptions } = body;
+  if (!Object.hasOwn(VIRTUAL_MODELS, model)) {
+    throw new ValidationError(
+      "INVALID_OPTION",
+      `参数错误：model 仅支持 ${Object.keys(VIRTUAL_MODELS).join("、")}`,
+      "model"
+    );
+  }
+  if (typeof stream !== "boolean") {
+    throw new ValidationError("INVALID_TYPE", "参数错误：stream 需为布尔值", "stream");
+  }
+  if (!Array.isArray(messages) || !messages.length) {
+    throw new ValidationError("MISSING_FIELD", "参数错误：缺少 messages", "messages");
+  }
+
+  const last = [...messages].reverse().find(m => m?.role === "user");
+  const { numbers, question } = splitNumbers(messageText(last?.content));
+  if (!question) {
+    throw new ValidationError("MISSING_FIELD", "参数错误：最后一条 user 消息需写明所问之事", "messages");
+  }
+  if (question.length > MAX_QUESTION_LENGTH) {
+    throw new ValidationError("TOO_LONG", `参数错误：问题长度不能超过 ${MAX_QUESTION_LENGTH}`, "messages");
+  }
+  return {
+    model,
+    showReasoning: VIRTUAL_MODELS[model].showReasoning,
+    question,
+    numbers,
+    stream,
+    includeUsage: Boolean(streamOptions?.include_usage)
+  };
+}
+
+/** HTTP 状态码对应的 OpenAI 错误类型 */
+const ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  405: "invalid_request_error",
+  429: "rate_limit_error"
+};
+
+/**
+ * 结构化错误（{ code, message, field?, status? }）转换为 OpenAI 错误响应体。
+ * @return {{error: {message: string, type: string, code: string, param: string|null}}}
+ */
+export function toOpenAIError(err) {
+  return {
+    error: {
+      message: err.message || String(err),
+      type: ERROR_TYPES[err.status] || "server_error",
+      code: err.code || "INTERNAL_ERROR",
+      param: err.field ?? null
+    }
+  };
+}
+
+/** 用量转换为 OpenAI 格式 */
+function toOpenAIUsage(usage) {
+  return {
+    prompt_tokens: usage.prompt,
+    completion_tokens: usage.completion,
+    total_tokens: usage.total,
+    completion_tokens_details: { reasoning_tokens: usage.reasoning }
+  };
+}
+
+/** 预检提示转换为文本 */
+function formatNotice({ title, message, resources = [] }) {
+  const lines = resources.map(r => `- ${r.name}：${r.contact}`);
+  return [`**${title}**`, message, ...(lines.length ? [lines.join("\n")] : [])].join("\n\n");
+}
+
+/**
+ * 占卜事件 → OpenAI 分片编码器。同时累积全文，供非流式响应使用（toCompletion）。
+ */
+export class ChatChunkEncoder {
+  /**
+   * @param {{model: string, includeUsage?: boolean}} options - model 为虚拟模型 id；
+   *        includeUsage 为 true 时在结束分片之后追加 usage 分片（对应 stream_options.include_usage）。
+   */
+  constructor({ model, includeUsage = false }) {
+    this.id = `chatcmpl-${crypto.randomUUID()}`;
+    this.created = Math.floor(Date.now() / 1000);
+    this.model = model;
+    // 上游模型以内联 <think> 输出的推理在不带推理过程的虚拟模型下同样丢弃
+    this.showReasoning = Boolean(VIRTUAL_MODELS[model]?.showReasoning);
+    this.includeUsage = includeUsage;
+    this.header = "";
+    this.content = "";
+    this.reasoning = "";
+    this.usage = null;
+    this.started = false;
+    this.failed = false;
+  }
+
+  /** 一条 SSE data 行 */
+  line(payload) {
+    return `data: ${JSON.stringify(payload)}\n\n`;
+  }
+
+  /** chat.completion.chunk 分片，首个分片带 role */
+  chunk(delta, finishReason = null, extra = {}) {
+    if (!this.started && finishReason === null) {
+      delta = { role: "assistant", ...delta };
+      this.started = true;
+    }
+    return this.line({
+      id: this.id,
+      object: "chat.completion.chunk",
+      created: this.created,
+      model: this.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+      ...extra
+    });
+  }
+
+  /** 追加正文；首段正文之前附上卦象与时间 */
+  text(content) {
+    content = this.header + content;
+    this.header = "";
+    this.content += content;
+    return this.chunk({ content });
+  }
+
+  /**
+   * 编码一个占卜事件。
+   * @param {string} event - 事件名。
+   * @param {any} data - 事件数据（文本事件为字符串，其余为对象）。
+   * @return {string} 对应的 SSE 文本，无需输出时为空字符串。
+   */
+  encode(event, data) {
+    switch (event) {
+      case "meta":
+        this.header = `> 所得之卦：${data.hexagram}　所占之时：${data.time}\n\n`;
+        return "";
+      case "reasoning":
+        if (!this.showReasoning) return "";
+        this.reasoning += data;
+        return this.chunk({ reasoning: data });
+      case "answer":
+        return this.text(data);
+      case "notice":
+        return this.text(formatNotice(data));
+      case "usage":
+        this.usage = toOpenAIUsage(data);
+        return "";
+      case "error":
+        this.failed = true;
+        return this.line(toOpenAIError(data));
+      case "done": {
+        if (this.failed) return "data: [DONE]\n\n";
+        let out = this.chunk({}, "stop");
+        if (this.includeUsage) {
+          out += this.line({
+            id: this.id,
+            object: "chat.completion.chunk",
+            created: this.created,
+            model: this.model,
+            choices: [],
+            usage: this.usage
+          });
+        }
+        return out + "data: [DONE]\n\n";
+      }
+      default:
+        // title、fallback 等事件在 OpenAI 协议中没有对应字段
+        return "";
+    }
+  }
+
+  /** 非流式响应：chat.completion 对象 */
+  toCompletion() {
+    const message = { role: "assistant", content: this.content };
+    if (this.reasoning) message.reasoning = this.reasoning;
+    return {
+      id: this.id,
+      object: "chat.completion",
+      created: this.created,
+      model: this.model,
+      choices: [{ index: 0, message, finish_reason: "stop" }],
+      usage: this.usage
+    };
+  }
+}
+
+/** 解析一个 SSE 事件块为 { event, data }；心跳等注释块返回 null */
+function parseFrame(frame) {
+  let event = "message";
+  const dataParts = [];
+  for (const line of frame.split("\n")) {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) dataParts.push(line.slice(5).replace(/^\s/, ""));
+  }
+  if (!dataParts.length) return null;
+  const raw = dataParts.join("\n");
+  if (TEXT_EVENTS.has(event)) return { event, data: raw.replace(/\\n/g, "\n") };
+  try {
+    return { event, data: JSON.parse(raw) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 将 SSESession 输出的占卜事件流转换为 OpenAI 分片流。心跳注释原样透传，保持连接活跃。
+ * @param {ChatChunkEncoder} chunkEncoder - 分片编码器。
+ * @return {TransformStream<Uint8Array, Uint8Array>}
+ */
+export function createChunkStream(chunkEncoder) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  const write = (controller, text) => {
+    if (text) controller.enqueue(encoder.encode(text));
+  };
+  return new TransformStream({
+    transform(chunk, controller) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+        const frame = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        if (frame.startsWith(":")) {
+          write(controller, `${frame}\n\n`);
+          continue;
+        }
+        const parsed = parseFrame(frame);
+        if (parsed) write(controller, chunkEncoder.encode(parsed.event, parsed.data));
+      }
+    }
+  });
+}
@@ -0,0 +1,401 @@
+/**
+ * @file providers.js
+ * @brief AI 服务商适配层。
+ * @details 将统一的对话请求翻译为各家接口格式，并把各自的流式响应
+ *          归一化为 { reasoning, content } 增量，供上层转成 reasoning/answer/title 事件。
+ *          目前支持：
+ *          - openai：OpenAI 兼容 chat/completions SSE（OpenRouter、DeepSeek 等）；
+ *          - anthropic：Anthropic Messages SSE；
+ *          - gemini：Google Gemini streamGenerateContent（alt=sse）；
+ *          - ollama：Ollama /api/chat NDJSON。
+ *          推理内容统一识别 delta.reasoning、delta.reasoning_content，
+ *          以及正文中内联的 <think>…</think> 标签（见 splitThinkTags）。
+ *          各家的用量统计归一化为 { usage: { prompt, completion, reasoning } } 增量，
+ *          completion 含推理部分；同一次调用可能分多次给出，消费方按字段合并即可。
+ *          模型列表同样按服务商翻译（buildModelsRequest / parseModels），
+ *          归一化为 { id, name, contextLength, pricing, reasoning }，服务商未提供的字段为 null。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+/** 迭代响应体中的文本行（已去除首尾空白，跳过空行） */
+async function* iterateLines(bodyStream) {
+  const reader = bodyStream.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let idx;
+    while ((idx = buf.indexOf("\n")) !== -1) {
+      const line = buf.slice(0, idx).trim();
+      buf = buf.slice(idx + 1);
+      if (line) yield line;
+    }
+  }
+  const rest = (buf + decoder.decode()).trim();
+  if (rest) yield rest;
+}
+
+/** 迭代 SSE 流中的 data 行，并解析为 JSON；无法解析的行（如 [DONE]）直接跳过 */
+async function* iterateSSEJson(bodyStream) {
+  for await (const line of iterateLines(bodyStream)) {
+    if (!line.startsWith("data:")) continue;
+    try {
+      yield JSON.parse(line.slice(5).trim());
+    } catch {
+      continue;
+    }
+  }
+}
+
+/** 拆分出 system 提示词与其余对话消息 */
+function splitSystem(messages) {
+  const system = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+  return { system, rest: messages.filter(m => m.role !== "system") };
+}
+
+/** 将对话接口地址的路径末尾替换为模型列表路径，并清除查询参数 */
+function replacePath(endpoint, pattern, replacement) {
+  const url = new URL(endpoint);
+  url.pathname = url.pathname.replace(/\/+$/, "").replace(pattern, "") + replacement;
+  url.search = "";
+  return url;
+}
+
+/** 每 token 单价（字符串或数字）换算为每百万 token 单价，与 PRICES 的单位一致 */
+function perMillion(value) {
+  const n = Number(value);
+  return value !== undefined && value !== null && value !== "" && Number.isFinite(n)
+    ? Number((n * 1e6).toFixed(6))
+    : null;
+}
+
+/**
+ * 各服务商适配器。
+ * buildRequest({ endpoint, apiKey, model, messages, maxTokens, reasoning, extra })
+ *   → { url, headers, body }，body 为待 JSON 序列化的对象；
+ * parse(bodyStream) → 异步迭代 { reasoning?: string, content?: string, usage?: object }；
+ * buildModelsRequest({ endpoint, apiKey }) → { url, headers }，以 GET 请求模型列表；
+ * parseModels(json) → [{ id, name, contextLength, pricing, reasoning }]，
+ *   pricing 为 { prompt, completion, currency }（每百万 token，同 PRICES），reasoning 表示是否支持推理。
+ */
+export const PROVIDERS = {
+  openai: {
+    buildRequest({ endpoint, apiKey, model, messages, maxTokens, extra }) {
+      return {
+        url: endpoint,
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+          "HTTP-Referer": "https://xl.oxiz.xyz",
+          "X-Title": "OraCloud"
+        },
+        body: {
+          model,
+          messages,
+          max_tokens: maxTokens,
+          stream: true,
+          stream_options: { include_usage: true },
+          ...extra
+        }
+      };
+    },
+    async *parse(bodyStream) {
+      for await (const payload of iterateSSEJson(bodyStream)) {
+        const delta = payload.choices?.[0]?.delta || {};
+        // OpenRouter 使用 reasoning，DeepSeek 等使用 reasoning_content
+        yield { reasoning: delta.reasoning || delta.reasoning_content, content: delta.content };
+        // 开启 include_usage 后，最后一个分片携带整次调用的用量
+        if (payload.usage) {
+          yield {
+            usage: {
+              prompt: payload.usage.prompt_tokens || 0,
+              completion: payload.usage.completion_tokens || 0,
+              reasoning: payload.usage.completion_tokens_details?.reasoning_tokens || 0
+            }
+          };
+        }
+      }
+    },
+    buildModelsRequest({ endpoint, apiKey }) {
+      return {
+        url: replacePath(endpoint, /\/chat\/completions$/, "/models").toString(),
+        headers: { Authorization: `Bearer ${apiKey}` }
+      };
+    },
+    parseModels(json) {
+      // OpenRouter 额外给出 context_length、pricing（每 token 美元）与 supported_parameters
+      return (json.data || []).map(m => {
+        const prompt = perMillion(m.pricing?.prompt);
+        const completion = perMillion(m.pricing?.completion);
+        return {
+          id: m.id,
+          name: m.name || null,
+          contextLength: m.context_length || m.context_window || null,
+          pricing: prompt === null && completion === null ? null : { prompt, completion, currency: "USD" },
+          reasoning: Array.isArray(m.supported_parameters)
+            ? m.supported_parameters.some(p => p === "reasoning" || p === "include_reasoning")
+            : null
+        };
+      });
+    }
+  },
+
+  anthropic: {
+    buildRequest({ endpoint, apiKey, model, messages, maxTokens, reasoning }) {
+      const { system, rest } = splitSystem(messages);
+      const body = { model, messages: rest, max_tokens: maxTokens, stream: true };
+      if (system) body.system = system;
+      // 扩展思考的预算需小于 max_tokens
+      if (reasoning) body.thinking = { type: "enabled", budget_tokens: Math.floor(maxTokens / 2) };
+      return {
+        url: endpoint,
+        headers: {
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01",
+          "Content-Type": "application/json"
+        },
+        body
+      };
+    },
+    async *parse(bodyStream) {
+      for await (const payload of iterateSSEJson(bodyStream)) {
+        // 输入用量在 message_start 中给出，输出用量在 message_delta 中累计给出
+        if (payload.type === "message_start" && payload.message?.usage) {
+          yield { usage: { prompt: payload.message.usage.input_tokens || 0 } };
+        } else if (payload.type === "message_delta" && payload.usage) {
+          yield { usage: { completion: payload.usage.output_tokens || 0 } };
+        }
+        if (payload.type !== "content_block_delta") continue;
+        const { delta = {} } = payload;
+        if (delta.type === "thinking_delta") yield { reasoning: delta.thinking };
+        else if (delta.type === "text_delta") yield { content: delta.text };
+      }
+    },
+    buildModelsRequest({ endpoint, apiKey }) {
+      const url = replacePath(endpoint, /\/messages$/, "/models");
+      url.searchParams.set("limit", "1000");
+      return { url: url.toString(), headers: { "x-api-key": apiKey, "anthropic-version": "2023-06-01" } };
+    },
+    parseModels(json) {
+      return (json.data || []).map(m => ({
+        id: m.id,
+        name: m.display_name || null,
+        contextLength: m.max_input_tokens || null,
+        pricing: null,
+        reasoning: null
+      }));
+    }
+  },
+
+  gemini: {
+    buildRequest({ endpoint, apiKey, model, messages, maxTokens, reasoning }) {
+      // endpoint 可为完整地址、含 {model} 占位符的模板，或仅为 API 根路径（如 .../v1beta）
+      let url = endpoint.replace("{model}", encodeURIComponent(model));
+      if (!url.includes(":streamGenerateContent")) {
+        url = `${url.replace(/\/+$/, "")}/models/${encodeURIComponent(model)}:streamGenerateContent`;
+      }
+      const parsed = new URL(url);
+      parsed.searchParams.set("alt", "sse");
+
+      const { system, rest } = splitSystem(messages);
+      const body = {
+        contents: rest.map(m => ({
+          role: m.role === "assistant" ? "model" : "user",
+          parts: [{ text: m.content }]
+        })),
+        generationConfig: { maxOutputTokens: maxTokens }
+      };
+      if (system) body.systemInstruction = { parts: [{ text: system }] };
+      if (reasoning) body.generationConfig.thinkingConfig = { includeThoughts: true };
+      return {
+        url: parsed.toString(),
+        headers: { "x-goog-api-key": apiKey, "Content-Type": "application/json" },
+        body
+      };
+    },
+    async *parse(bodyStream) {
+      for await (const payload of iterateSSEJson(bodyStream)) {
+        for (const part of payload.candidates?.[0]?.content?.parts || []) {
+          if (!part.text) continue;
+          yield part.thought ? { reasoning: part.text } : { content: part.text };
+        }
+        // usageMetadata 为截至当前分片的累计值；candidatesTokenCount 不含思考部分
+        const meta = payload.usageMetadata;
+        if (meta) {
+          const reasoning = meta.thoughtsTokenCount || 0;
+          yield {
+            usage: {
+              prompt: meta.promptTokenCount || 0,
+              completion: (meta.candidatesTokenCount || 0) + reasoning,
+              reasoning
+            }
+          };
+        }
+      }
+    },
+    buildModelsRequest({ endpoint, apiKey }) {
+      // 去掉 /models/{model}:streamGenerateContent 部分，得到 API 根路径
+      const root = endpoint.replace(/\/models\/.*$/, "");
+      const url = replacePath(root, /$/, "/models");
+      url.searchParams.set("pageSize", "1000");
+      return { url: url.toString(), headers: { "x-goog-api-key": apiKey } };
+    },
+    parseModels(json) {
+      return (json.models || [])
+        .filter(m => !m.supportedGenerationMethods || m.supportedGenerationMethods.includes("generateContent"))
+        .map(m => ({
+          id: String(m.name || "").replace(/^models\//, ""),
+          name: m.displayName || null,
+          contextLength: m.inputTokenLimit || null,
+          pricing: null,
+          reasoning: typeof m.thinking === "boolean" ? m.thinking : null
+        }));
+    }
+  },
+
+  ollama: {
+    buildRequest({ endpoint, apiKey, model, messages, maxTokens, reasoning }) {
+      const headers = { "Content-Type": "application/json" };
+      // 本地 Ollama 无需鉴权；经反向代理部署时可携带 Key
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const body = { model, messages, stream: true, options: { num_predict: maxTokens } };
+      if (reasoning) body.think = true;
+      return { url: endpoint, headers, body };
+    },
+    async *parse(bodyStream) {
+      for await (const line of iterateLines(bodyStream)) {
+        let payload;
+        try {
+          payload = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        const { message = {} } = payload;
+        yield { reasoning: message.thinking, content: message.content };
+        // 最后一行（done: true）附带计数；Ollama 不单独统计推理部分
+        if (payload.done) {
+          yield { usage: { prompt: payload.prompt_eval_count || 0, completion: payload.eval_count || 0 } };
+        }
+      }
+    },
+    buildModelsRequest({ endpoint, apiKey }) {
+      const headers = {};
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      return { url: replacePath(endpoint, /\/api\/chat$/, "/api/tags").toString(), headers };
+    },
+    parseModels(json) {
+      // /api/tags 不含上下文长度与能力信息
+      return (json.models || []).map(m => ({
+        id: m.name || m.model,
+        name: null,
+        contextLength: null,
+        pricing: null,
+        reasoning: null
+      }));
+    }
+  }
+};
+
+const THINK_OPEN = "<think>";
+const THINK_CLOSE = "</think>";
+
+/** 返回 text 末尾可能是 tag 前缀的最长长度，用于暂存被截断在分片边界的标签 */
+function partialTagLength(text, tag) {
+  for (let n = Math.min(text.length, tag.length - 1); n > 0; n--) {
+    if (text.endsWith(tag.slice(0, n))) return n;
+  }
+  return 0;
+}
+
+/**
+ * 将正文中内联的 <think>…</think> 拆分为推理内容。
+ * 标签可能被切分在任意两个分片之间：疑似标签前缀的尾部会暂存到下一分片再判断。
+ * 闭合标签后紧跟的空白行一并去除，避免答案以空行开头。
+ *
+ * @param {AsyncIterable<{reasoning?: string, content?: string}>} deltas - 适配器输出的增量。
+ * @return {AsyncIterable<{reasoning?: string, content?: string}>} 拆分后的增量。
+ */
+export async function* splitThinkTags(deltas) {
+  let inThink = false;
+  let trimAnswer = false;
+  let buf = "";
+
+  // 按当前状态输出一段文本
+  const output = text => {
+    if (!inThink && trimAnswer) {
+      text = text.replace(/^\s+/, "");
+      if (text) trimAnswer = false;
+    }
+    if (!text) return null;
+    return inThink ? { reasoning: text } : { content: text };
+  };
+
+  for await (const delta of deltas) {
+    if (delta.usage) yield { usage: delta.usage };
+    if (delta.reasoning) yield { reasoning: delta.reasoning };
+    if (!delta.content) continue;
+
+    buf += delta.content;
+    while (buf) {
+      const tag = inThink ? THINK_CLOSE : THINK_OPEN;
+      const idx = buf.indexOf(tag);
+      if (idx !== -1) {
+        const out = output(buf.slice(0, idx));
+        if (out) yield out;
+        buf = buf.slice(idx + tag.length);
+        inThink = !inThink;
+        if (!inThink) trimAnswer = true;
+        continue;
+      }
+      const keep = partialTagLength(buf, tag);
+      const out = output(buf.slice(0, buf.length - keep));
+      if (out) yield out;
+      buf = buf.slice(buf.length - keep);
+      break;
+    }
+  }
+
+  // 流结束时残留的疑似标签前缀按原文输出
+  const out = output(buf);
+  if (out) yield out;
+}
+
+/**
+ * 根据 endpoint 推断服务商。
+ * @param {string} endpoint - AI 接口地址。
+ * @return {string} PROVIDERS 中的键名，无法识别时视为 OpenAI 兼容。
+ */
+export function detectProvider(endpoint) {
+  const url = String(endpoint || "").toLowerCase();
+  if (url.includes("anthropic.com")) return "anthropic";
+  if (url.includes("generativelanguage.googleapis.com")) return "gemini";
+  let pathname = url;
+  try {
+    pathname = new URL(url).pathname.replace(/\/+$/, "");
+  } catch {
+    // 非完整 URL 时按原文判断
+  }
+  // OpenAI 兼容路径优先：经 Ollama 或其他网关暴露的 /v1/chat/completions 仍按 OpenAI 协议调用
+  if (pathname.endsWith("/chat/completions")) return "openai";
+  if (pathname.endsWith("/api/chat") || url.includes("ollama") || url.includes(":11434")) return "ollama";
+  return "openai";
+}
+
+/**
+ * 取得适配器：显式指定的 provider 优先，否则按 endpoint 推断。
+ * @param {string} [name] - 服务商名称。
+ * @param {string} endpoint - AI 接口地址。
+ * @return {{name: string, adapter: object}} 服务商名称与适配器。
+ * @throws {Error} 指定了不支持的服务商时抛出。
+ */
+export function resolveProvider(name, endpoint) {
+  const key = name?.trim().toLowerCase() || detectProvider(endpoint);
+  if (!Object.hasOwn(PROVIDERS, key)) {
+    throw new Error(`不支持的 provider：${name}，可选 ${Object.keys(PROVIDERS).join("、")}`);
+  }
+  return { name: key, adapter: PROVIDERS[key] };
+}
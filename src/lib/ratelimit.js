@@ -0,0 +1,95 @@
+/**
+ * @file ratelimit.js
+ * @brief 服务端共享 API Key 的限流与配额。
+ * @details 每个客户端（IP 或签发的令牌）对应一个 Durable Object 实例，
+ *          在其存储中维护「每分钟」与「每日」两个计数窗口。
+ *          Durable Object 对同一实例的请求串行处理，因此计数不会因并发而错乱。
+ *          每日窗口按北京时间零点切换。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+/** 北京时间相对 UTC 的偏移（毫秒），用于确定每日配额的切换时刻 */
+const DAY_OFFSET_MS = 8 * 3600 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * 限流计数器（Durable Object）。
+ * 接收 POST { perMinute, perDay }，额度充足时计数加一，
+ * 返回 { allowed, scope?, retryAfter?, remaining }；额度为 0 或缺省表示该窗口不限。
+ * remaining 为当日剩余次数，不限每日次数时为 null。
+ */
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { perMinute = 0, perDay = 0 } = await request.json();
+    const now = Date.now();
+    const minute = Math.floor(now / MINUTE_MS);
+    const day = Math.floor((now + DAY_OFFSET_MS) / DAY_MS);
+
+    const usage = (await this.state.storage.get("usage")) || {};
+    const minuteCount = usage.minute === minute ? usage.minuteCount : 0;
+    const dayCount = usage.day === day ? usage.dayCount : 0;
+
+    const remaining = perDay > 0 ? perDay - dayCount : null;
+
+    // 先判断每日配额：其等待时间更长，应优先告知
+    if (perDay > 0 && dayCount >= perDay) {
+      const retryAfter = Math.ceil(((day + 1) * DAY_MS - DAY_OFFSET_MS - now) / 1000);
+      return Response.json({ allowed: false, scope: "day", retryAfter, remaining: 0 });
+    }
+    if (perMinute > 0 && minuteCount >= perMinute) {
+      const retryAfter = Math.ceil(((minute + 1) * MINUTE_MS - now) / 1000);
+      return Response.json({ allowed: false, scope: "minute", retryAfter, remaining });
+    }
+
+    await this.state.storage.put("usage", {
+      minute,
+      minuteCount: minuteCount + 1,
+      day,
+      dayCount: dayCount + 1
+    });
+    return Response.json({ allowed: true, remaining: remaining === null ? null : remaining - 1 });
+  }
+}
+
+/**
+ * 取得请求方的限流标识：优先使用调用方传入的令牌主体，否则使用客户端 IP。
+ * @param {Request} request - 原始请求。
+ * @param {string} [subject] - 已验证令牌中的主体标识。
+ * @return {string} 限流键，如 "ip:1.2.3.4" 或 "token:abc"。
+ */
+export function getClientKey(request, subject) {
+  if (subject) return `token:${subject}`;
+  const ip =
+    request.headers.get("CF-Connecting-IP") ||
+    request.headers.get("X-Forwarded-For")?.split(",")[0].trim() ||
+    "unknown";
+  return `ip:${ip}`;
+}
+
+/**
+ * 消耗一次服务端 Key 的调用额度。
+ * 未绑定 RATE_LIMITER 或两项配额均未配置时直接放行。
+ *
+ * @param {object} env - Worker 环境变量，读取 RATE_LIMITER、RATE_LIMIT_PER_MINUTE、RATE_LIMIT_PER_DAY。
+ * @param {string} key - getClientKey 返回的限流键。
+ * @return {Promise<{allowed: boolean, scope?: "minute"|"day", retryAfter?: number, remaining?: number|null}>}
+ */
+export async function consumeQuota(env, key) {
+  const perMinute = Number(env.RATE_LIMIT_PER_MINUTE) || 0;
+  const perDay = Number(env.RATE_LIMIT_PER_DAY) || 0;
+  if (!env.RATE_LIMITER || (perMinute <= 0 && perDay <= 0)) return { allowed: true };
+
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+  const resp = await stub.fetch("https://rate-limiter/consume", {
+    method: "POST",
+    body: JSON.stringify({ perMinute, perDay })
+  });
+  return resp.json();
+}
@@ -0,0 +1,177 @@
+/**
+ * @file screening.js
+ * @brief 敏感问题预检：识别自伤、急症、法律纠纷等不宜以占卜作答的问题。
+ * @details 预检分两步：
+ *          1. 关键词规则：命中即判定，无需调用模型；
+ *          2. 可选的分类模型：配置 SCREENING_MODEL 后，对关键词未命中的问题
+ *             再以廉价模型判断一次，模型失败或超时时放行。
+ *          被判定的问题不再解卦，改为下发固定的提示与求助资源（event: notice）。
+ *          环境变量：
+ *          - SCREENING_ENABLED：设为 false 关闭预检（默认开启）；
+ *          - SCREENING_KEYWORDS：按类别覆盖关键词，如 { "legal": ["官司", "判刑"] }；
+ *          - SCREENING_MODEL：分类模型名，经服务端 ENDPOINT 与 API_KEY 调用；
+ *          - SCREENING_TIMEOUT_MS：分类模型超时（默认 5000）。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+/**
+ * 预检类别。keywords 为默认关键词，notice 为命中后下发的固定内容。
+ * 关键词按子串匹配，只收录意思明确的完整短语：「中风」「中毒」「诉讼」「想死」这类单词
+ * 会误伤「中风险基金」「游戏中毒」「诉讼部门」「想死你了」等寻常问题，交由可选的分类模型判断。
+ * 资源仅列出全国性热线，运营方可按所在地区调整。
+ */
+export const SCREENING_CATEGORIES = {
+  selfHarm: {
+    label: "自伤或轻生",
+    keywords: [
+      "自杀",
+      "轻生",
+      "不想活了",
+      "活不下去了",
+      "寻死",
+      "割腕",
+      "自残",
+      "想跳楼",
+      "结束自己的生命",
+      "了结自己"
+    ],
+    notice: {
+      title: "你并不孤单",
+      message:
+        "从你的问题里，我们感受到你可能正承受着很大的痛苦。这样的时刻不适合交给卦象来回答，" +
+        "请尽快联系身边信任的人，或拨打下面的热线，和专业的倾听者聊一聊。如果你已身处危险之中，请立即报警或前往最近的医院急诊。",
+      resources: [
+        { name: "全国心理援助热线", contact: "12356" },
+        { name: "希望24热线", contact: "400-161-9995" },
+        { name: "报警 / 急救", contact: "110 / 120" }
+      ]
+    }
+  },
+  medical: {
+    label: "急症与就医",
+    keywords: [
+      "正在抢救",
+      "昏迷不醒",
+      "病危",
+      "大出血",
+      "食物中毒",
+      "药物中毒",
+      "煤气中毒",
+      "呼吸困难",
+      "胸口剧痛",
+      "心梗",
+      "脑卒中",
+      "要不要手术",
+      "该不该手术",
+      "要不要停药"
+    ],
+    notice: {
+      title: "请以医生的意见为准",
+      message:
+        "身体健康与治疗方案关乎安危，占卜无法替代医生的诊断。若症状紧急，请立即拨打急救电话；" +
+        "是否手术、用药或停药，请与主治医生充分沟通后再做决定。",
+      resources: [
+        { name: "急救电话", contact: "120" },
+        { name: "卫生健康服务热线", contact: "12320" }
+      ]
+    }
+  },
+  legal: {
+    label: "法律纠纷",
+    keywords: [
+      "被起诉",
+      "要不要起诉",
+      "打官司",
+      "判刑",
+      "坐牢",
+      "被逮捕",
+      "被拘留",
+      "判决结果",
+      "劳动仲裁"
+    ],
+    notice: {
+      title: "请寻求专业的法律帮助",
+      message:
+        "诉讼、刑责等法律问题的走向取决于事实与证据，占卜无法给出可靠的判断。" +
+        "建议尽早咨询执业律师或公共法律服务机构，了解自己的权利与可行的应对方式。",
+      resources: [
+        { name: "公共法律服务热线", contact: "12348" },
+        { name: "报警", contact: "110" }
+      ]
+    }
+  }
+};
+
+/** 是否启用预检（默认开启） */
+export function isScreeningEnabled(env) {
+  return env.SCREENING_ENABLED !== false && String(env.SCREENING_ENABLED).toLowerCase() !== "false";
+}
+
+/**
+ * 合并默认关键词与 SCREENING_KEYWORDS（对象或其 JSON 字符串，按类别整体覆盖）。
+ * 配置不是合法 JSON 时经 log 告警并使用默认关键词。
+ */
+function getKeywords(env, log) {
+  let overrides = env.SCREENING_KEYWORDS || {};
+  if (typeof overrides === "string") {
+    try {
+      overrides = JSON.parse(overrides);
+    } catch (err) {
+      log?.warn("screening_keywords_invalid", { error: err });
+      overrides = {};
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(SCREENING_CATEGORIES).map(([category, { keywords }]) => [
+      category,
+      Array.isArray(overrides[category]) ? overrides[category] : keywords
+    ])
+  );
+}
+
+/**
+ * 按关键词规则预检。
+ * @param {string} question - 用户问题。
+ * @param {object} env - Worker 环境变量。
+ * @param {{warn: Function}} [log] - 请求日志（lib/log.js），用于报告关键词配置错误。
+ * @return {{category: string, keyword: string}|null} 命中时返回类别与关键词。
+ */
+export function screenByKeywords(question, env, log) {
+  const text = String(question || "").replace(/\s+/g, "");
+  for (const [category, keywords] of Object.entries(getKeywords(env, log))) {
+    const keyword = keywords.find(k => k && text.includes(k));
+    if (keyword) return { category, keyword };
+  }
+  return null;
+}
+
+/** 构造分类模型的提示词 */
+export function buildClassifierMessages(question) {
+  const options = Object.entries(SCREENING_CATEGORIES)
+    .map(([category, { label }]) => `${category}：${label}`)
+    .join("\n");
+  return [
+    {
+      role: "user",
+      content:
+        `判断下面这个占卜问题是否属于以下类别之一：\n${options}\n` +
+        `只输出类别名；都不属于时输出 none，不要输出其他内容。\n问题：${question}`
+    }
+  ];
+}
+
+/** 解析分类模型的输出，返回类别名；无法识别或为 none 时返回 null */
+export function parseClassifierOutput(text) {
+  const output = String(text || "").toLowerCase();
+  return Object.keys(SCREENING_CATEGORIES).find(category => output.includes(category.toLowerCase())) || null;
+}
+
+/**
+ * 取得类别对应的固定提示。
+ * @return {{category: string, title: string, message: string, resources: {name: string, contact: string}[]}}
+ */
+export function buildNotice(category) {
+  return { category, ...SCREENING_CATEGORIES[category].notice };
+}
@@ -0,0 +1,128 @@
+/**
+ * @file sse.js
+ * @brief SSE 会话：事件编号、心跳与断线续传缓冲。
+ * @details 一次占卜对应一个 SSESession。每个事件带有单调递增的 id，
+ *          形如 "<streamId>:<seq>"，客户端重连时以 Last-Event-ID 回传，
+ *          即可同时定位会话与断点。已推送的事件全部缓存在会话中，
+ *          可被多个连接先后订阅（attach），新连接会先补发断点之后的事件。
+ *          每个连接定时发送 ": ping" 注释行，防止移动网络与代理因空闲断开。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+const encoder = new TextEncoder();
+
+/** SSE 响应头 */
+export const SSE_HEADERS = {
+  "Content-Type": "text/event-stream; charset=utf-8",
+  "Cache-Control": "no-cache",
+  Connection: "keep-alive"
+};
+
+/**
+ * 解析 Last-Event-ID。
+ * @param {string|null} value - 请求头中的 Last-Event-ID。
+ * @return {{streamId: string, seq: number}|null} 格式不符时返回 null。
+ */
+export function parseLastEventId(value) {
+  const match = /^([0-9a-f-]{36}):(\d+)$/i.exec(String(value || "").trim());
+  return match ? { streamId: match[1].toLowerCase(), seq: Number(match[2]) } : null;
+}
+
+export class SSESession {
+  /**
+   * @param {string} id - 会话 id（UUID）。
+   * @param {{heartbeatMs?: number, onIdle?: Function, onAttach?: Function}} [options]
+   *        onIdle 在生成未结束而最后一个连接断开时调用；onAttach 在有新连接订阅时调用。
+   */
+  constructor(id, { heartbeatMs = 15000, onIdle, onAttach } = {}) {
+    this.id = id;
+    this.heartbeatMs = heartbeatMs;
+    this.onIdle = onIdle;
+    this.onAttach = onAttach;
+    this.events = [];
+    this.done = false;
+    this.clients = new Set();
+  }
+
+  /** 由 toJSON 的结果恢复已结束的会话（仅用于补发） */
+  static restore(saved, options) {
+    const session = new SSESession(saved.id, options);
+    session.events = saved.events;
+    session.done = saved.done;
+    return session;
+  }
+
+  toJSON() {
+    return { id: this.id, events: this.events, done: this.done };
+  }
+
+  /**
+   * 追加一个事件并推送给所有连接。字符串中的换行转义为 "\n"，对象序列化为 JSON。
+   * @return {number} 该事件的序号。
+   */
+  push(event, data) {
+    const seq = this.events.length + 1;
+    const text = typeof data === "string" ? data.replace(/\n/g, "\\n") : JSON.stringify(data);
+    const chunk = `id: ${this.id}:${seq}\nevent: ${event}\ndata: ${text}\n\n`;
+    this.events.push(chunk);
+    for (const client of this.clients) this.send(client, chunk);
+    return seq;
+  }
+
+  /** 结束会话：推送 done 事件并关闭所有连接 */
+  finish() {
+    if (this.done) return;
+    this.push("done", "");
+    this.done = true;
+    for (const client of this.clients) {
+      this.detach(client);
+      try {
+        client.controller.close();
+      } catch {
+        // 连接已关闭
+      }
+    }
+  }
+
+  /**
+   * 订阅会话：先补发序号大于 after 的事件，之后实时推送；会话已结束时补发后立即关闭。
+   * @param {number} [after=0] - 客户端已收到的最后一个事件序号。
+   * @return {ReadableStream<Uint8Array>} 可直接作为 Response 的 body。
+   */
+  attach(after = 0) {
+    let client;
+    return new ReadableStream({
+      start: controller => {
+        for (const chunk of this.events.slice(after)) controller.enqueue(encoder.encode(chunk));
+        if (this.done) {
+          controller.close();
+          return;
+        }
+        client = { controller };
+        client.timer = setInterval(() => this.send(client, ": ping\n\n"), this.heartbeatMs);
+        this.clients.add(client);
+        this.onAttach?.();
+      },
+      cancel: () => {
+        if (client) this.detach(client);
+      }
+    });
+  }
+
+  send(client, chunk) {
+    try {
+      client.controller.enqueue(encoder.encode(chunk));
+    } catch {
+      // 写入失败说明客户端已断开
+      this.detach(client);
+    }
+  }
+
+  detach(client) {
+    if (!this.clients.delete(client)) return;
+    clearInterval(client.timer);
+    if (!this.done && !this.clients.size) this.onIdle?.();
+  }
+}
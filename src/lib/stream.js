@@ -0,0 +1,107 @@
+/**
+ * @file stream.js
+ * @brief 可断线续传的占卜会话（Durable Object，每次占卜一个实例）。
+ * @details - POST { streamId, params }：启动生成并订阅；
+ *          - GET ?after=N：补发序号 N 之后的事件，未结束时继续订阅；
+ *          - DELETE：取消生成。
+ *          所有连接断开后等待 RESUME_GRACE_MS 仍无重连才取消生成；
+ *          结束后的事件保留 RESUME_WINDOW_MS 供补发，随后由 alarm 清除。
+ *          生成逻辑由入口模块注入（见 createDivinationStream），本模块只负责会话的订阅、取消、持久化与清理。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+import { SSESession, SSE_HEADERS } from "./sse.js";
+import { envNumber } from "./env.js";
+import { createLogger } from "./log.js";
+
+/**
+ * 创建 Durable Object 类。
+ * @param {(session: SSESession, params: object, env: object, controller: AbortController) => Promise<void>} run
+ *        在会话中执行占卜，结束时须调用 session.finish()。
+ * @return {Function} DivinationStream 类，需由入口模块以同名导出。
+ */
+export function createDivinationStream(run) {
+  return class DivinationStream {
+    constructor(state, env) {
+      this.state = state;
+      this.env = env;
+      this.session = null;
+      this.controller = null;
+      this.graceTimer = null;
+    }
+
+    async fetch(request) {
+      const heartbeatMs = envNumber(this.env.SSE_HEARTBEAT_MS, 15000);
+
+      if (request.method === "POST") {
+        const { streamId, params } = await request.json();
+        const controller = new AbortController();
+        this.controller = controller;
+        this.session = new SSESession(streamId, {
+          heartbeatMs,
+          onIdle: () => {
+            this.graceTimer = setTimeout(
+              () => controller.abort(),
+              envNumber(this.env.RESUME_GRACE_MS, 30000)
+            );
+          },
+          onAttach: () => clearTimeout(this.graceTimer)
+        });
+        const body = this.session.attach();
+        this.state.waitUntil(this.complete(streamId, params, controller));
+        return new Response(body, { headers: SSE_HEADERS });
+      }
+
+      if (request.method === "DELETE") {
+        this.controller?.abort();
+        return new Response(null, { status: 204, headers: SSE_HEADERS });
+      }
+
+      if (!this.session) {
+        const saved = await this.state.storage.get("session");
+        if (saved) this.session = SSESession.restore(saved, { heartbeatMs });
+      }
+      if (!this.session) {
+        return new Response(JSON.stringify({ code: "STREAM_NOT_FOUND", message: "会话不存在或已过期" }), {
+          status: 404,
+          headers: { "Content-Type": "application/json; charset=utf-8" }
+        });
+      }
+      const after = Number(new URL(request.url).searchParams.get("after")) || 0;
+      return new Response(this.session.attach(after), { headers: SSE_HEADERS });
+    }
+
+    /**
+     * 执行生成，结束后保存会话并设置清理用的 alarm。
+     * 任一步失败都只记录日志；保存失败时仍设置 alarm，确保实例状态最终被清除。
+     */
+    async complete(streamId, params, controller) {
+      const log = createLogger(params.requestId);
+      try {
+        await run(this.session, params, this.env, controller);
+      } catch (err) {
+        log.error("stream_failed", { streamId, error: err });
+        this.session.finish();
+      } finally {
+        clearTimeout(this.graceTimer);
+      }
+      try {
+        await this.state.storage.put("session", this.session.toJSON());
+      } catch (err) {
+        log.error("stream_persist_failed", { streamId, error: err });
+      }
+      try {
+        await this.state.storage.setAlarm(Date.now() + envNumber(this.env.RESUME_WINDOW_MS, 120000));
+      } catch (err) {
+        log.error("stream_alarm_failed", { streamId, error: err });
+      }
+    }
+
+    async alarm() {
+      await this.state.storage.deleteAll();
+      this.session = null;
+    }
+  };
+}
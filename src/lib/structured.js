@@ -0,0 +1,233 @@
+/**
+ * @file structured.js
+ * @brief 结构化解卦：要求模型输出 JSON，并在流式过程中增量解析为分段更新。
+ * @details 结构化模式下模型按 STRUCTURED_PROMPT 输出一个 JSON 对象，字段见 SECTION_FIELDS。
+ *          PartialJSONParser 逐字符解析尚未完整的 JSON，每收到一段文本即返回各字符串值新增的部分，
+ *          SectionStream 再将其转换为 section 事件：
+ *          - 字符串字段：{ field, delta }；
+ *          - 字符串数组字段：{ field, index, delta }。
+ *          客户端按 field（及 index）拼接 delta 即得完整内容，见 applySection。
+ *          模型未按要求输出 JSON（首个非空字符不是「{」或代码块标记）时，原样作为 answer 事件下发。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+/** 分段字段及其类型：text 为字符串，list 为字符串数组 */
+export const SECTION_FIELDS = {
+  initial: "text", // 初现（第一卦）
+  middle: "text", // 中应（第二卦）
+  final: "text", // 终局（第三卦）
+  favorable: "list", // 宜
+  unfavorable: "list", // 忌
+  explanation: "text", // 通俗释义
+  verse: "list" // 古诀点睛，每句一项
+};
+
+/** 追加在系统提示词之后的输出格式要求 */
+export const STRUCTURED_PROMPT = `输出格式要求（优先于上文的格式要求）：
+只输出一个 JSON 对象，不要输出 JSON 以外的任何内容，也不要使用代码块标记。字段及顺序如下：
+{
+  "initial": "初现（第一卦）：当前状态、阻碍或机会",
+  "middle": "中应（第二卦）：事态转折点或关键影响因素",
+  "final": "终局（第三卦）：最终结果及长期影响",
+  "favorable": ["宜：适合的行动、时辰、方位、物品等，每项一句"],
+  "unfavorable": ["忌：需规避的风险、错误做法，每项一句"],
+  "explanation": "通俗释义：用白话详细解析卦象",
+  "verse": ["古诀点睛：贴合卦象的四句诗或民谚，每句一项"]
+}
+字符串内可使用 Markdown，换行写作 \\n。`;
+
+const ESCAPES = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", '"': '"', "\\": "\\", "/": "/" };
+
+/**
+ * 增量 JSON 解析器：只关心字符串值，数字、布尔与 null 会被跳过。
+ * 第一个「{」之前的内容（如代码块标记）与根对象结束后的内容均被忽略。
+ */
+export class PartialJSONParser {
+  constructor() {
+    /** @type {{type: "object"|"array", key?: string, index?: number}[]} */
+    this.stack = [];
+    this.state = "start";
+    this.isKey = false;
+    this.key = "";
+    this.escape = null; // null | "" | 已读取的 \u 十六进制位
+  }
+
+  /** 根对象是否已解析完毕 */
+  get done() {
+    return this.state === "end";
+  }
+
+  /** 当前值在 JSON 中的路径，如 ["favorable", 0] */
+  path() {
+    return this.stack.map(c => (c.type === "object" ? c.key : c.index));
+  }
+
+  /**
+   * 追加一段文本。
+   * @param {string} text - 模型输出的新增片段。
+   * @return {{path: (string|number)[], delta: string}[]} 本段中各字符串值新增的内容。
+   */
+  push(text) {
+    const updates = [];
+    let delta = "";
+    const flush = () => {
+      if (delta) updates.push({ path: this.path(), delta });
+      delta = "";
+    };
+
+    for (const ch of text) {
+      if (this.state === "string") {
+        if (this.escape !== null) {
+          let decoded = null;
+          if (this.escape === "" && ch !== "u") {
+            decoded = ESCAPES[ch] ?? ch;
+          } else {
+            this.escape += ch;
+            if (this.escape.length === 5) decoded = String.fromCharCode(parseInt(this.escape.slice(1), 16));
+          }
+          if (decoded === null) continue;
+          this.escape = null;
+          if (this.isKey) this.key += decoded;
+          else delta += decoded;
+        } else if (ch === "\\") {
+          this.escape = "";
+        } else if (ch === '"') {
+          if (this.isKey) {
+            this.stack.at(-1).key = this.key;
+            this.state = "colon";
+          } else {
+            flush();
+            this.state = "after";
+          }
+        } else if (this.isKey) {
+          this.key += ch;
+        } else {
+          delta += ch;
+        }
+        continue;
+      }
+      if (this.state === "literal") {
+        if (!/[,\]}\s]/.test(ch)) continue;
+        this.state = "after";
+      }
+      if (/\s/.test(ch)) continue;
+
+      switch (this.state) {
+        case "start":
+          if (ch === "{") this.open("object");
+          break;
+        case "key":
+          if (ch === '"') {
+            this.state = "string";
+            this.isKey = true;
+            this.key = "";
+          } else if (ch === "}") {
+            this.close();
+          }
+          break;
+        case "colon":
+          if (ch === ":") this.state = "value";
+          break;
+        case "value":
+          if (ch === '"') {
+            this.state = "string";
+            this.isKey = false;
+          } else if (ch === "{") {
+            this.open("object");
+          } else if (ch === "[") {
+            this.open("array");
+          } else if (ch === "]" && this.stack.at(-1)?.type === "array") {
+            this.close();
+          } else {
+            this.state = "literal";
+          }
+          break;
+        case "after":
+          if (ch === ",") {
+            const top = this.stack.at(-1);
+            if (top.type === "array") {
+              top.index += 1;
+              this.state = "value";
+            } else {
+              this.state = "key";
+            }
+          } else if (ch === "}" || ch === "]") {
+            this.close();
+          }
+          break;
+        default:
+          // end：忽略根对象之后的内容
+          break;
+      }
+    }
+    flush();
+    return updates;
+  }
+
+  open(type) {
+    this.stack.push(type === "array" ? { type, index: 0 } : { type, key: "" });
+    this.state = type === "array" ? "value" : "key";
+  }
+
+  close() {
+    this.stack.pop();
+    this.state = this.stack.length ? "after" : "end";
+  }
+}
+
+/**
+ * 将结构化模式下的模型输出转换为 section 事件；模型未输出 JSON 时退化为 answer 事件。
+ */
+export class SectionStream {
+  constructor() {
+    this.parser = new PartialJSONParser();
+    this.mode = "pending"; // pending：尚未判断；json；text
+    this.head = "";
+  }
+
+  /**
+   * @param {string} text - 模型输出的新增片段。
+   * @return {{event: "section"|"answer", data: object|string}[]}
+   */
+  push(text) {
+    if (this.mode === "pending") {
+      this.head += text;
+      const first = this.head.trimStart()[0];
+      if (!first) return [];
+      this.mode = first === "{" || first === "`" ? "json" : "text";
+      text = this.head;
+    }
+    if (this.mode === "text") return [{ event: "answer", data: text }];
+
+    const events = [];
+    for (const { path, delta } of this.parser.push(text)) {
+      const [field, index] = path;
+      const type = SECTION_FIELDS[field];
+      // 只接受约定的字段与层级，模型多出的内容直接丢弃
+      if (type === "text" && path.length === 1) {
+        events.push({ event: "section", data: { field, delta } });
+      } else if (type === "list" && path.length === 2) {
+        events.push({ event: "section", data: { field, index, delta } });
+      }
+    }
+    return events;
+  }
+}
+
+/**
+ * 将一条 section 更新合并到分段结果中。
+ * @param {object} sections - 已收到的分段内容，会被原地修改。
+ * @param {{field: string, index?: number, delta: string}} update - section 事件数据。
+ * @return {object} sections 本身。
+ */
+export function applySection(sections, { field, index, delta }) {
+  if (SECTION_FIELDS[field] === "list") {
+    const list = (sections[field] ??= []);
+    list[index] = (list[index] || "") + delta;
+  } else if (SECTION_FIELDS[field] === "text") {
+    sections[field] = (sections[field] || "") + delta;
+  }
+  return sections;
+}
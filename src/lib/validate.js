@@ -0,0 +1,150 @@
+/**
+ * @file validate.js
+ * @brief 占卜与模型列表接口的请求体校验。
+ * @details 以声明式 schema 描述每个字段的类型、取值范围、长度与格式，
+ *          校验失败时抛出带错误码的 ValidationError，由调用方转换为
+ *          { code, message, field } 形式的 JSON 错误响应。
+ *          字段为 undefined、null 或空白字符串时视为未填写。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+import { PROVIDERS } from "./providers.js";
+
+/** 问题最大长度（字符） */
+export const MAX_QUESTION_LENGTH = 500;
+
+/** 校验失败。code 为机器可读的错误码，field 为出错的字段名 */
+export class ValidationError extends Error {
+  constructor(code, message, field) {
+    super(message);
+    this.code = code;
+    this.field = field;
+    this.status = 400;
+  }
+}
+
+/**
+ * 占卜请求体 schema。规则：
+ * - type：string | number | integer | boolean | array；
+ * - required：布尔值，或接收整个请求体、返回布尔值的函数；
+ * - min / max：数值范围；maxLength：字符串长度上限；length：数组长度；items：数组元素规则；
+ * - enum：允许的取值（ignoreCase 时忽略大小写）；format: "url"：http(s) 地址。
+ */
+export const DIVINATION_SCHEMA = {
+  question: { type: "string", required: true, maxLength: MAX_QUESTION_LENGTH },
+  method: { type: "string", enum: ["numbers", "time", "count", "strokes"] },
+  numbers: {
+    type: "array",
+    length: 3,
+    items: { type: "integer", min: 1, max: 999 },
+    required: body => (body.method ?? "numbers") === "numbers"
+  },
+  show_reasoning: { type: "boolean" },
+  format: { type: "string", enum: ["markdown", "structured"] },
+  noCache: { type: "boolean" },
+  cacheTtl: { type: "integer", min: 0, max: 86400 },
+  apiKey: { type: "string", maxLength: 512 },
+  model: { type: "string", maxLength: 200 },
+  titleModel: { type: "string", maxLength: 200 },
+  reasoningModel: { type: "string", maxLength: 200 },
+  endpoint: { type: "string", maxLength: 2048, format: "url" },
+  provider: { type: "string", enum: Object.keys(PROVIDERS), ignoreCase: true },
+  openrouterSort: { type: "string", enum: ["price", "latency", "throughput"] },
+  timeZone: { type: "string", maxLength: 64 },
+  longitude: { type: "number", min: -180, max: 180 },
+  hexagram: { type: "string", maxLength: 50 },
+  fullBazi: { type: "string", maxLength: 50 },
+  currentDateTime: { type: "string", maxLength: 50 }
+};
+
+/** 模型列表请求体 schema（POST /api/models），字段规则同占卜请求 */
+export const MODELS_SCHEMA = {
+  apiKey: DIVINATION_SCHEMA.apiKey,
+  endpoint: DIVINATION_SCHEMA.endpoint,
+  provider: DIVINATION_SCHEMA.provider
+};
+
+const TYPE_NAMES = { string: "字符串", number: "数字", integer: "整数", boolean: "布尔值", array: "数组" };
+
+function checkType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/** 按单条规则校验一个值，field 用于错误信息（数组元素形如 numbers[1]） */
+function checkValue(value, rule, field) {
+  if (rule.type && !checkType(value, rule.type)) {
+    throw new ValidationError("INVALID_TYPE", `参数错误：${field} 需为${TYPE_NAMES[rule.type]}`, field);
+  }
+  if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+    throw new ValidationError(
+      "OUT_OF_RANGE",
+      `参数错误：${field} 需在 ${rule.min} ~ ${rule.max} 之间`,
+      field
+    );
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    throw new ValidationError("TOO_LONG", `参数错误：${field} 长度不能超过 ${rule.maxLength}`, field);
+  }
+  if (rule.length !== undefined && value.length !== rule.length) {
+    throw new ValidationError("INVALID_LENGTH", `参数错误：${field} 需包含 ${rule.length} 项`, field);
+  }
+  if (rule.items) {
+    value.forEach((item, i) => checkValue(item, rule.items, `${field}[${i}]`));
+  }
+  if (rule.enum) {
+    const normalized = rule.ignoreCase ? value.trim().toLowerCase() : value;
+    if (!rule.enum.includes(normalized)) {
+      throw new ValidationError(
+        "INVALID_OPTION",
+        `参数错误：${field} 仅支持 ${rule.enum.join("、")}`,
+        field
+      );
+    }
+  }
+  if (rule.format === "url" && value.trim()) {
+    let url;
+    try {
+      url = new URL(value.trim());
+    } catch {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      throw new ValidationError("INVALID_URL", `参数错误：${field} 需为 http(s) 地址`, field);
+    }
+  }
+}
+
+/**
+ * 按 schema 校验请求体，遇到第一个错误即抛出。
+ * @param {unknown} body - 已解析的 JSON 请求体。
+ * @param {object} [schema=DIVINATION_SCHEMA] - 字段规则表。
+ * @throws {ValidationError} 请求体不是对象或任一字段不符合规则时抛出。
+ */
+export function validateBody(body, schema = DIVINATION_SCHEMA) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ValidationError("INVALID_BODY", "请求体需为 JSON 对象");
+  }
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = body[field];
+    const required = typeof rule.required === "function" ? rule.required(body) : rule.required;
+    // 空白字符串同样视为未填写（前端会把空输入框原样提交）
+    const missing =
+      value === undefined || value === null || (typeof value === "string" && !value.trim());
+    if (missing) {
+      if (required) throw new ValidationError("MISSING_FIELD", `参数错误：缺少 ${field}`, field);
+      continue;
+    }
+    checkValue(value, rule, field);
+  }
+}
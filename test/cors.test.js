@@ -0,0 +1,86 @@
+/**
+ * @file cors.test.js
+ * @brief 跨域策略：ALLOWED_ORIGINS 的通配匹配，以及严格模式下拒绝跨域使用共享 Key。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+import test, { afterEach } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../src/index.js";
+import { isOriginAllowed, preflightResponse, withCors } from "../src/lib/cors.js";
+
+const originalFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+const SITE = "https://oracloud.test";
+
+function request(origin, { path = "/api/config", method = "GET", body } = {}) {
+  const headers = { "Content-Type": "application/json", Accept: "application/json" };
+  if (origin) headers.Origin = origin;
+  return new Request(SITE + path, { method, headers, body: body && JSON.stringify(body) });
+}
+
+const allowed = (origin, env) => isOriginAllowed(request(origin), env);
+
+test("未配置 ALLOWED_ORIGINS 时允许任意来源，显式配置为空时仅允许同源", () => {
+  assert.ok(allowed("https://any.example", {}));
+  assert.ok(!allowed("https://any.example", { ALLOWED_ORIGINS: "" }));
+  assert.ok(allowed(SITE, { ALLOWED_ORIGINS: "" }));
+  assert.ok(allowed(undefined, { ALLOWED_ORIGINS: "" }));
+});
+
+test("通配规则只匹配同协议、同端口的子域名", () => {
+  const env = { ALLOWED_ORIGINS: "https://*.example.com, https://app.example.org/" };
+  assert.ok(allowed("https://app.example.com", env));
+  assert.ok(allowed("https://a.b.example.com", env));
+  assert.ok(allowed("https://APP.example.org", env));
+  assert.ok(!allowed("https://example.com", env));
+  assert.ok(!allowed("http://app.example.com", env));
+  assert.ok(!allowed("https://app.example.com:8443", env));
+  assert.ok(!allowed("https://evilexample.com", env));
+  assert.ok(!allowed("https://app.example.com.evil.test", env));
+  assert.ok(!allowed("https://sub.app.example.org", env));
+});
+
+test("允许的来源被回显，不允许的来源不附 CORS 头", () => {
+  const env = { ALLOWED_ORIGINS: "https://*.example.com" };
+  const ok = withCors(new Response("x"), request("https://app.example.com"), env);
+  assert.equal(ok.headers.get("Access-Control-Allow-Origin"), "https://app.example.com");
+  assert.match(ok.headers.get("Vary"), /Origin/);
+  const denied = preflightResponse(request("https://evil.test", { method: "OPTIONS" }), env);
+  assert.equal(denied.status, 204);
+  assert.equal(denied.headers.get("Access-Control-Allow-Origin"), null);
+});
+
+test("不在 ALLOWED_ORIGINS 中的跨域接口请求返回 403", async () => {
+  const response = await worker.fetch(request("https://evil.test"), { ALLOWED_ORIGINS: "https://*.example.com" });
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).code, "ORIGIN_NOT_ALLOWED");
+});
+
+test("严格模式下跨域请求不能使用共享 Key，自带 Key 时放行", async () => {
+  globalThis.fetch = async () => {
+    const chunk = { choices: [{ delta: { content: "解卦" } }] };
+    return new Response(`data: ${JSON.stringify(chunk)}\n\ndata: [DONE]\n\n`);
+  };
+  const env = {
+    API_KEY: "server-key",
+    ENDPOINT: "https://api.example.com/v1/chat/completions",
+    MODEL: "answer",
+    SCREENING_ENABLED: false,
+    CORS_STRICT: "true"
+  };
+  const body = { question: "今年事业如何", numbers: [3, 5, 2] };
+  const divine = (origin, extra) =>
+    worker.fetch(request(origin, { path: "/api/divination", method: "POST", body: { ...body, ...extra } }), env);
+
+  const shared = await divine("https://app.example.com");
+  assert.equal(shared.status, 403);
+  assert.equal((await shared.json()).code, "CROSS_ORIGIN_KEY_FORBIDDEN");
+  assert.equal((await divine("https://app.example.com", { apiKey: "user-key" })).status, 200);
+  assert.equal((await divine(SITE)).status, 200);
+});
@@ -0,0 +1,116 @@
+/**
+ * @file endpoint.test.js
+ * @brief 用户自带接口地址的 SSRF 校验：内网与本机地址的各种写法均被拒绝，公网 https 地址放行。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkEndpoint } from "../src/lib/endpoint.js";
+
+/** 断言地址被拒绝，返回错误码 */
+function rejectCode(endpoint, env = {}) {
+  try {
+    checkEndpoint(endpoint, env);
+  } catch (err) {
+    assert.equal(err.field, "endpoint");
+    return err.code;
+  }
+  assert.fail(`${endpoint} 未被拒绝`);
+}
+
+test("公网 https 地址放行", () => {
+  for (const endpoint of [
+    "https://api.openai.com/v1/chat/completions",
+    "https://openrouter.ai/api/v1/chat/completions",
+    "https://8.8.8.8/v1/chat/completions",
+    "https://[2606:4700::1111]/v1/chat/completions"
+  ]) {
+    assert.doesNotThrow(() => checkEndpoint(endpoint, {}), endpoint);
+  }
+});
+
+test("拒绝非 https 协议与无效地址", () => {
+  assert.equal(rejectCode("http://api.openai.com/v1/chat/completions"), "ENDPOINT_NOT_ALLOWED");
+  assert.equal(rejectCode("ftp://api.openai.com/"), "ENDPOINT_NOT_ALLOWED");
+  assert.equal(rejectCode("not a url"), "INVALID_URL");
+});
+
+test("拒绝回环地址与 localhost", () => {
+  for (const endpoint of [
+    "https://localhost/v1",
+    "https://api.localhost/v1",
+    "https://127.0.0.1/v1",
+    "https://127.1.2.3:8443/v1",
+    "https://[::1]/v1",
+    "https://0.0.0.0/v1"
+  ]) {
+    assert.equal(rejectCode(endpoint), "ENDPOINT_NOT_ALLOWED", endpoint);
+  }
+});
+
+test("拒绝私有、链路本地与运营商 NAT 地址", () => {
+  for (const endpoint of [
+    "https://10.0.0.1/v1",
+    "https://172.16.0.1/v1",
+    "https://172.31.255.255/v1",
+    "https://192.168.1.1/v1",
+    "https://169.254.169.254/latest/meta-data",
+    "https://100.64.0.1/v1",
+    "https://[fd00::1]/v1",
+    "https://[fe80::1]/v1"
+  ]) {
+    assert.equal(rejectCode(endpoint), "ENDPOINT_NOT_ALLOWED", endpoint);
+  }
+  // 私有地址段边界之外的地址放行
+  assert.doesNotThrow(() => checkEndpoint("https://172.32.0.1/v1", {}));
+});
+
+test("拒绝 IPv4 映射与内嵌 IPv4 的 IPv6 地址", () => {
+  for (const endpoint of [
+    "https://[::ffff:127.0.0.1]/v1",
+    "https://[::ffff:169.254.169.254]/v1",
+    "https://[::ffff:a9fe:a9fe]/v1",
+    "https://[::10.0.0.1]/v1",
+    "https://[64:ff9b::192.168.0.1]/v1"
+  ]) {
+    assert.equal(rejectCode(endpoint), "ENDPOINT_NOT_ALLOWED", endpoint);
+  }
+});
+
+test("拒绝十进制、十六进制与八进制写法的 IPv4", () => {
+  // URL 解析会把这些写法规范化为点分十进制
+  for (const endpoint of [
+    "https://2130706433/v1",
+    "https://0x7f000001/v1",
+    "https://0x7f.0.0.1/v1",
+    "https://0177.0.0.1/v1",
+    "https://127.1/v1",
+    "https://3232235777/v1"
+  ]) {
+    assert.equal(rejectCode(endpoint), "ENDPOINT_NOT_ALLOWED", endpoint);
+  }
+});
+
+test("拒绝单标签主机名与内网域名后缀", () => {
+  for (const endpoint of [
+    "https://metadata/computeMetadata/v1",
+    "https://ollama/api/chat",
+    "https://printer.local/v1",
+    "https://service.internal/v1",
+    "https://router.home.arpa/v1",
+    "https://localhost./v1"
+  ]) {
+    assert.equal(rejectCode(endpoint), "ENDPOINT_NOT_ALLOWED", endpoint);
+  }
+});
+
+test("按 ENDPOINT_DENYLIST / ENDPOINT_ALLOWLIST 过滤域名", () => {
+  const env = { ENDPOINT_DENYLIST: "*.evil.example", ENDPOINT_ALLOWLIST: "api.openai.com, *.openrouter.ai" };
+  assert.equal(rejectCode("https://api.evil.example/v1", env), "ENDPOINT_NOT_ALLOWED");
+  assert.equal(rejectCode("https://api.deepseek.com/v1", env), "ENDPOINT_NOT_ALLOWED");
+  assert.doesNotThrow(() => checkEndpoint("https://api.openai.com/v1/chat/completions", env));
+  assert.doesNotThrow(() => checkEndpoint("https://eu.openrouter.ai/api/v1", env));
+});
@@ -0,0 +1,37 @@
+/**
+ * @file openai.test.js
+ * @brief OpenAI 兼容接口的分片编码：推理内容只在带推理过程的虚拟模型下输出。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ChatChunkEncoder } from "../src/lib/openai.js";
+
+function encodeAll(model, events) {
+  const encoder = new ChatChunkEncoder({ model });
+  const text = events.map(([event, data]) => encoder.encode(event, data)).join("");
+  return { encoder, text };
+}
+
+const EVENTS = [
+  ["meta", { hexagram: "速喜 大安 留连", time: "甲辰年 丙寅月 戊申日 甲子时" }],
+  ["reasoning", "先看初宫"],
+  ["answer", "解卦"],
+  ["done", ""]
+];
+
+test("不带推理过程的虚拟模型丢弃 reasoning 事件", () => {
+  const { encoder, text } = encodeAll("liuren-divination", EVENTS);
+  assert.ok(!text.includes('"reasoning"'));
+  assert.equal(encoder.toCompletion().choices[0].message.reasoning, undefined);
+  assert.match(encoder.toCompletion().choices[0].message.content, /解卦$/);
+});
+
+test("带推理过程的虚拟模型输出 delta.reasoning 与 message.reasoning", () => {
+  const { encoder, text } = encodeAll("liuren-divination-reasoning", EVENTS);
+  assert.ok(text.includes('"reasoning":"先看初宫"'));
+  assert.equal(encoder.toCompletion().choices[0].message.reasoning, "先看初宫");
+});
@@ -0,0 +1,64 @@
+/**
+ * @file providers.test.js
+ * @brief 内联 <think> 标签的拆分：标签被切分在任意分片之间时仍能正确区分推理与正文。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { detectProvider, splitThinkTags } from "../src/lib/providers.js";
+
+/** 以给定的正文分片运行 splitThinkTags，合并输出的推理与正文 */
+async function split(chunks) {
+  async function* deltas() {
+    for (const content of chunks) yield { content };
+  }
+  let reasoning = "";
+  let content = "";
+  for await (const delta of splitThinkTags(deltas())) {
+    reasoning += delta.reasoning || "";
+    content += delta.content || "";
+  }
+  return { reasoning, content };
+}
+
+test("完整分片中的 <think> 拆为推理，闭合标签后的空行去除", async () => {
+  assert.deepEqual(await split(["<think>先看初宫</think>\n\n解卦"]), { reasoning: "先看初宫", content: "解卦" });
+});
+
+test("标签在任意位置被切分到两个分片时仍能识别", async () => {
+  const text = "<think>先看初宫</think>\n\n解卦";
+  for (let i = 1; i < text.length; i++) {
+    const result = await split([text.slice(0, i), text.slice(i)]);
+    assert.deepEqual(result, { reasoning: "先看初宫", content: "解卦" }, `切分位置 ${i}`);
+  }
+});
+
+test("标签被逐字切分时仍能识别", async () => {
+  assert.deepEqual(await split([..."<think>想</think>答"]), { reasoning: "想", content: "答" });
+});
+
+test("疑似标签前缀在流结束时按原文输出", async () => {
+  assert.deepEqual(await split(["a < b，", "<thi"]), { reasoning: "", content: "a < b，<thi" });
+  assert.deepEqual(await split(["<thin", "g>"]), { reasoning: "", content: "<thing>" });
+});
+
+test("上游单独给出的推理与用量原样透传", async () => {
+  async function* deltas() {
+    yield { reasoning: "推理" };
+    yield { content: "答案" };
+    yield { usage: { prompt: 1, completion: 2 } };
+  }
+  const out = [];
+  for await (const delta of splitThinkTags(deltas())) out.push(delta);
+  assert.deepEqual(out, [{ reasoning: "推理" }, { content: "答案" }, { usage: { prompt: 1, completion: 2 } }]);
+});
+
+test("以 /chat/completions 结尾的地址按 OpenAI 兼容接口调用，/api/chat 按 Ollama 调用", () => {
+  assert.equal(detectProvider("http://localhost:11434/v1/chat/completions"), "openai");
+  assert.equal(detectProvider("http://localhost:11434/api/chat"), "ollama");
+  assert.equal(detectProvider("https://gw.example.com/api/chat/completions"), "openai");
+  assert.equal(detectProvider("https://api.anthropic.com/v1/messages"), "anthropic");
+});
@@ -0,0 +1,76 @@
+/**
+ * @file screening.test.js
+ * @brief 关键词预检：明确的求助问题命中，含有歧义单词的寻常问题放行。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+import test, { afterEach } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../src/index.js";
+import { screenByKeywords } from "../src/lib/screening.js";
+
+const originalFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+const category = question => screenByKeywords(question, {})?.category ?? null;
+
+test("寻常问题不因歧义单词被拦截", () => {
+  const questions = [
+    "这个中风险基金能买吗",
+    "想死你了，他什么时候回来",
+    "游戏中毒太深怎么办",
+    "我们公司诉讼部门的前景",
+    "双十一跳楼价能抢到吗"
+  ];
+  for (const question of questions) {
+    assert.equal(category(question), null, question);
+  }
+});
+
+test("意思明确的短语命中对应类别", () => {
+  assert.equal(category("最近总觉得活不下去了"), "selfHarm");
+  assert.equal(category("家里老人病危该怎么办"), "medical");
+  assert.equal(category("被起诉了能赢吗"), "legal");
+});
+
+test("SCREENING_KEYWORDS 按类别整体替换，非法 JSON 时告警并使用默认词表", () => {
+  assert.equal(screenByKeywords("合同纠纷", { SCREENING_KEYWORDS: { legal: ["合同纠纷"] } })?.category, "legal");
+  const warnings = [];
+  const log = { warn: msg => warnings.push(msg) };
+  assert.equal(screenByKeywords("被起诉了", { SCREENING_KEYWORDS: "{bad" }, log)?.category, "legal");
+  assert.deepEqual(warnings, ["screening_keywords_invalid"]);
+});
+
+test("自带 API Key 的请求不调用使用服务端 Key 的分类模型", async () => {
+  const models = [];
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    models.push(body.model);
+    const chunk = { choices: [{ delta: { content: body.model === "classifier" ? "none" : "解卦" } }] };
+    return new Response(`data: ${JSON.stringify(chunk)}\n\ndata: [DONE]\n\n`);
+  };
+  const env = {
+    API_KEY: "server-key",
+    ENDPOINT: "https://api.example.com/v1/chat/completions",
+    MODEL: "answer",
+    SCREENING_MODEL: "classifier"
+  };
+  const divine = apiKey =>
+    worker.fetch(
+      new Request("https://oracloud.test/api/divination", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify({ question: "今年事业如何", numbers: [3, 5, 2], apiKey })
+      }),
+      env
+    );
+
+  assert.equal((await divine("user-key")).status, 200);
+  assert.ok(!models.includes("classifier"));
+  assert.equal((await divine()).status, 200);
+  assert.ok(models.includes("classifier"));
+});
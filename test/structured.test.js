@@ -0,0 +1,93 @@
+/**
+ * @file structured.test.js
+ * @brief 结构化解卦的增量解析：任意切分、转义序列、代码块包裹与非 JSON 输出。
+ *
+ * @author AI
+ * @date 2026-10-19
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PartialJSONParser, SectionStream, applySection } from "../src/lib/structured.js";
+
+const RESPONSE = JSON.stringify({
+  initial: "速喜临门",
+  middle: "转折在\n三日后，\"贵人\"相助",
+  final: "终得\\圆满é",
+  favorable: ["向南", "午时"],
+  unfavorable: [],
+  score: 88,
+  ok: true,
+  extra: { nested: "丢弃" },
+  explanation: "白话释义",
+  verse: ["速喜喜来临", "求财向南行"]
+});
+
+const EXPECTED = {
+  initial: "速喜临门",
+  middle: "转折在\n三日后，\"贵人\"相助",
+  final: "终得\\圆满é",
+  favorable: ["向南", "午时"],
+  explanation: "白话释义",
+  verse: ["速喜喜来临", "求财向南行"]
+};
+
+/** 按给定的分片运行 SectionStream，返回合并后的分段与 answer 文本 */
+function run(chunks) {
+  const stream = new SectionStream();
+  const sections = {};
+  let answer = "";
+  for (const chunk of chunks) {
+    for (const { event, data } of stream.push(chunk)) {
+      if (event === "section") applySection(sections, data);
+      else answer += data;
+    }
+  }
+  return { sections, answer };
+}
+
+test("整段 JSON 解析为各字段，非约定字段与非字符串值被丢弃", () => {
+  assert.deepEqual(run([RESPONSE]), { sections: EXPECTED, answer: "" });
+});
+
+test("逐字符输入时结果与整段输入一致（转义序列被切分）", () => {
+  assert.deepEqual(run([...RESPONSE]), { sections: EXPECTED, answer: "" });
+});
+
+test("\\u 转义被切分在两个分片之间时正确还原", () => {
+  const parser = new PartialJSONParser();
+  const updates = [...parser.push('{"initial": "a\\u00'), ...parser.push('e9b"}')];
+  assert.equal(updates.map(u => u.delta).join(""), "aéb");
+  assert.ok(updates.every(u => u.path[0] === "initial"));
+  assert.ok(parser.done);
+});
+
+test("尚未完整的 JSON 每段只返回新增内容", () => {
+  const parser = new PartialJSONParser();
+  assert.deepEqual(parser.push('{"initial": "速'), [{ path: ["initial"], delta: "速" }]);
+  assert.deepEqual(parser.push('喜", "favorable": ["向'), [
+    { path: ["initial"], delta: "喜" },
+    { path: ["favorable", 0], delta: "向" }
+  ]);
+  assert.deepEqual(parser.push('南", "午'), [
+    { path: ["favorable", 0], delta: "南" },
+    { path: ["favorable", 1], delta: "午" }
+  ]);
+  assert.equal(parser.done, false);
+});
+
+test("代码块包裹的 JSON 同样解析，代码块标记与其后的内容被忽略", () => {
+  const fenced = "\n```json\n" + RESPONSE + "\n```\n以上。";
+  assert.deepEqual(run([fenced]), { sections: EXPECTED, answer: "" });
+  assert.deepEqual(run(["`", "``json\n", RESPONSE.slice(0, 40), RESPONSE.slice(40), "\n```"]), {
+    sections: EXPECTED,
+    answer: ""
+  });
+});
+
+test("模型未输出 JSON 时退化为 answer 事件，开头的空白分片先暂存", () => {
+  assert.deepEqual(run(["  ", "\n初现：速喜", "，中应：大安"]), {
+    sections: {},
+    answer: "  \n初现：速喜，中应：大安"
+  });
+});